@@ -0,0 +1,320 @@
+// Backtest CLI - Runs a strategy over candles from a file without the browser or network,
+// prints the statistics and fails when they miss the given thresholds
+//
+//   node backtest-cli.js --data candles.csv (--strategy ma_crossover | --strategy-file strategy.json)
+//                        [--interval 1h] [--columns time=Date,close=Price] [--timezone UTC]
+//                        [--params fast=10,slow=30] [--capital 10000] [--fill]
+//                        [--trades trades.csv] [--equity equity.json] [--json]
+//                        [--min-sharpe 1] [--max-drawdown 20] [--min-return 0] [--min-trades 10]
+//                        [--min-profit-factor 1.2] [--min-win-rate 40]
+//   node backtest-cli.js --list
+//
+// --strategy names a library strategy, or picks one from a --strategy-file holding several.
+// --params values must be numbers within the strategy's declared ranges that meet its constraints.
+// --fill forward-fills gaps, and zero-volume bars without valid prices (DataQuality), before
+// the run. Trades and the equity curve are written as CSV or JSON by the file extension. Percent thresholds are in
+// percent (--max-drawdown 20 is a 20% drawdown).
+//
+// Exit codes: 0 all thresholds met, 1 a threshold failed, 2 bad arguments or input files.
+
+const fs = require('fs');
+const path = require('path');
+const CandleIO = require('./candle-io.js');
+const DataQuality = require('./data-quality.js');
+const StrategyInterpreter = require('./strategy-interpreter.js');
+const StrategyLibrary = require('./strategy-library.js');
+const StrategyValidator = require('./strategy-validator.js');
+
+class BacktestRunner {
+  constructor() {
+    this.library = new StrategyLibrary({ storage: null });
+    this.candleIO = new CandleIO();
+    this.dataQuality = new DataQuality();
+  }
+
+  // Candles from a CSV or JSON file with their quality report; options.fill forward-fills
+  // gaps and zero-volume bars without valid prices. options as for CandleIO.parse (columns, timezone, interval)
+  loadCandles(file, options = {}) {
+    const format = file.toLowerCase().endsWith('.csv') ? 'csv' : (file.toLowerCase().endsWith('.json') ? 'json' : undefined);
+    const { candles } = this.candleIO.parse(fs.readFileSync(file, 'utf8'), { ...options, format });
+    if (candles.length === 0) {
+      throw new Error(`No valid candles in ${file}`);
+    }
+
+    if (!options.fill) {
+      return { candles, quality: this.dataQuality.check(candles, options.interval), repair: null };
+    }
+    const repair = this.dataQuality.repair(candles, { interval: options.interval, fillGaps: true, fillZeroVolume: true });
+    return { candles: repair.candles, quality: this.dataQuality.check(repair.candles, options.interval), repair };
+  }
+
+  // A library strategy by id, or one from a strategy file (migrated and validated on import);
+  // a file with several strategies needs the id of the one to run
+  loadStrategy(strategyId, file) {
+    if (file) {
+      const ids = this.library.importStrategies(fs.readFileSync(file, 'utf8'));
+      if (strategyId && !ids.includes(strategyId)) {
+        throw new Error(`Strategy '${strategyId}' is not in ${file} (found ${ids.join(', ')})`);
+      }
+      if (!strategyId && ids.length > 1) {
+        throw new Error(`${file} holds ${ids.length} strategies, choose one with --strategy (${ids.join(', ')})`);
+      }
+      strategyId = strategyId || ids[0];
+    }
+
+    const strategy = this.library.getStrategy(strategyId);
+    if (!strategy) {
+      throw new Error(`Unknown strategy: ${strategyId} (see --list)`);
+    }
+    return { id: strategyId, ...strategy };
+  }
+
+  // Backtest the strategy with parameter values and execution settings laid over its own
+  run(strategy, candles, options = {}) {
+    const configured = {
+      ...strategy,
+      params: { ...strategy.params, ...options.params },
+      execution: { ...strategy.execution, ...options.execution }
+    };
+    this.checkParams(configured, Object.keys(options.params || {}));
+
+    return new StrategyInterpreter({ logging: false }).interpret({ ...configured, data: candles });
+  }
+
+  // Throw unless every given parameter is declared, and the values are numbers within their
+  // ranges that satisfy the strategy's constraints
+  checkParams(strategy, names) {
+    const declared = Object.keys(strategy.parameters || {});
+    names.forEach(name => {
+      if (!declared.includes(name)) {
+        throw new Error(`Strategy '${strategy.name}' has no parameter '${name}'${declared.length > 0 ? ` (has ${declared.join(', ')})` : ''}`);
+      }
+    });
+
+    // An out-of-range value is only a warning in the library, but a run asked for by name should not guess
+    const report = this.library.checkStrategy(strategy);
+    const problems = [...report.errors, ...report.warnings.filter(issue => issue.path.startsWith('params.'))];
+    if (problems.length > 0) {
+      throw new Error(problems.map(StrategyValidator.formatIssue).join('\n'));
+    }
+  }
+
+  // One entry per given threshold: { name, stat, limit, value, passed }
+  checkThresholds(stats, thresholds) {
+    return Object.keys(BacktestRunner.THRESHOLDS)
+      .filter(name => thresholds[name] !== undefined)
+      .map(name => {
+        const { stat, max } = BacktestRunner.THRESHOLDS[name];
+        const value = BacktestRunner.getStat(stats, stat);
+        const limit = thresholds[name];
+        return { name, stat, limit, value, passed: max ? value <= limit : value >= limit };
+      });
+  }
+}
+
+// Threshold options and the statistic each one bounds (from below unless `max`)
+BacktestRunner.THRESHOLDS = {
+  'min-sharpe': { stat: 'sharpeRatio' },
+  'min-sortino': { stat: 'sortinoRatio' },
+  'max-drawdown': { stat: 'maxDrawdownPercent', max: true },
+  'min-return': { stat: 'totalProfitPercent' },
+  'min-cagr': { stat: 'cagr' },
+  'min-trades': { stat: 'closedTrades' },
+  'min-profit-factor': { stat: 'profitFactor' },
+  'min-win-rate': { stat: 'winRate' }
+};
+
+// Statistics in the printed summary, with their labels and units
+BacktestRunner.SUMMARY = [
+  ['closedTrades', 'Closed trades', ''],
+  ['winRate', 'Win rate', '%'],
+  ['totalProfit', 'Net profit', ''],
+  ['totalProfitPercent', 'Return', '%'],
+  ['buyAndHoldReturnPercent', 'Buy and hold', '%'],
+  ['cagr', 'CAGR', '%'],
+  ['maxDrawdownPercent', 'Max drawdown', '%'],
+  ['profitFactor', 'Profit factor', ''],
+  ['sharpeRatio', 'Sharpe ratio', ''],
+  ['sortinoRatio', 'Sortino ratio', ''],
+  ['exposurePercent', 'Exposure', '%'],
+  ['totalFees', 'Fees', ''],
+  ['finalEquity', 'Final equity', '']
+];
+
+BacktestRunner.TRADE_FIELDS = ['time', 'type', 'action', 'direction', 'price', 'quantity', 'fee', 'exitReason', 'barsHeld', 'grossProfit', 'profit', 'profitPercent'];
+BacktestRunner.EQUITY_FIELDS = ['time', 'equity', 'drawdown', 'drawdownPercent', 'close', 'inPosition'];
+
+// Statistic by name; closedTrades counts round trips, where totalTrades counts every fill
+BacktestRunner.getStat = function(stats, name) {
+  return name === 'closedTrades' ? stats.wins + stats.losses : stats[name];
+};
+
+// Rows as CSV with a header row; fields missing from a row are left empty
+BacktestRunner.toCSV = function(rows, fields) {
+  const cell = value => {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [fields.join(','), ...rows.map(row => fields.map(field => cell(row[field])).join(','))].join('\n') + '\n';
+};
+
+// Write rows as CSV or JSON by the file extension
+BacktestRunner.writeRows = function(file, rows, fields) {
+  const content = path.extname(file).toLowerCase() === '.csv'
+    ? BacktestRunner.toCSV(rows, fields)
+    : JSON.stringify(rows, null, 2) + '\n';
+  fs.writeFileSync(file, content);
+};
+
+// 'a=1,b=fast' -> { a: 1, b: 'fast' }
+BacktestRunner.parseAssignments = function(text, option) {
+  const values = {};
+  String(text).split(',').filter(item => item.trim()).forEach(item => {
+    const [name, ...rest] = item.split('=');
+    const value = rest.join('=').trim();
+    if (!name.trim() || value === '') {
+      throw new Error(`Invalid --${option} entry: '${item}' (expected name=value)`);
+    }
+    values[name.trim()] = value !== '' && !isNaN(value) ? parseFloat(value) : value;
+  });
+  return values;
+};
+
+BacktestRunner.formatNumber = function(value) {
+  if (value === Infinity) return 'inf';
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+};
+
+function parseArguments(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] !== undefined && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+// Thresholds given on the command line as numbers
+function parseThresholds(args) {
+  const thresholds = {};
+  Object.keys(BacktestRunner.THRESHOLDS).forEach(name => {
+    if (args[name] === undefined) return;
+    const limit = parseFloat(args[name]);
+    if (isNaN(limit)) {
+      throw new Error(`--${name} needs a number`);
+    }
+    thresholds[name] = limit;
+  });
+  return thresholds;
+}
+
+function printSummary(strategy, params, loaded, stats, checks) {
+  const { candles, quality, repair } = loaded;
+  const date = time => new Date(time * 1000).toISOString().replace('.000Z', 'Z');
+
+  console.log(`${strategy.name} (${strategy.id})`);
+  if (Object.keys(params).length > 0) {
+    console.log(`Parameters: ${Object.entries(params).map(([name, value]) => `${name}=${value}`).join(', ')}`);
+  }
+  console.log(`Data: ${candles.length} candles, ${date(candles[0].time)} - ${date(candles[candles.length - 1].time)}`);
+
+  const issues = [];
+  if (quality.gaps.length > 0) issues.push(`${quality.gaps.length} gaps (${quality.missingBars} missing bars)`);
+  if (quality.zeroVolume.length > 0) issues.push(`${quality.zeroVolume.length} zero-volume bars`);
+  if (repair) issues.push(`${repair.filledGaps + repair.filledZeroVolume} bars forward-filled, ${repair.removedDuplicates} duplicates removed`);
+  if (issues.length > 0) console.log(`Data quality: ${issues.join(', ')}`);
+
+  console.log('');
+  BacktestRunner.SUMMARY.forEach(([stat, label, unit]) => {
+    console.log(`  ${label.padEnd(16)}${BacktestRunner.formatNumber(BacktestRunner.getStat(stats, stat))}${unit}`);
+  });
+
+  if (checks.length > 0) {
+    console.log('');
+    checks.forEach(check => {
+      console.log(`  ${check.passed ? 'PASS' : 'FAIL'}  --${check.name} ${check.limit}: ${BacktestRunner.formatNumber(check.value)}`);
+    });
+  }
+}
+
+function main(argv) {
+  const args = parseArguments(argv);
+  const runner = new BacktestRunner();
+
+  if (args.list) {
+    const strategies = runner.library.getAllStrategies();
+    const width = Math.max(...strategies.map(strategy => strategy.id.length)) + 2;
+    strategies.forEach(strategy => {
+      console.log(`${strategy.id.padEnd(width)}${strategy.name}`);
+    });
+    return 0;
+  }
+
+  let strategy, params, loaded, thresholds, execution;
+  try {
+    if (typeof args.data !== 'string') {
+      throw new Error('--data <file> is required');
+    }
+    if (typeof args.strategy !== 'string' && typeof args['strategy-file'] !== 'string') {
+      throw new Error('--strategy <id> or --strategy-file <file> is required');
+    }
+
+    strategy = runner.loadStrategy(typeof args.strategy === 'string' ? args.strategy : null, args['strategy-file']);
+    params = args.params ? BacktestRunner.parseAssignments(args.params, 'params') : {};
+    thresholds = parseThresholds(args);
+    execution = {};
+    if (args.capital !== undefined) {
+      const capital = typeof args.capital === 'string' ? Number(args.capital) : NaN;
+      if (!Number.isFinite(capital) || capital <= 0) {
+        throw new Error(`--capital needs a positive number${typeof args.capital === 'string' ? ` (got '${args.capital}')` : ''}`);
+      }
+      execution.initialCapital = capital;
+    }
+    loaded = runner.loadCandles(args.data, {
+      interval: typeof args.interval === 'string' ? args.interval : undefined,
+      columns: args.columns ? BacktestRunner.parseAssignments(args.columns, 'columns') : undefined,
+      timezone: typeof args.timezone === 'string' ? args.timezone : undefined,
+      fill: Boolean(args.fill)
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 2;
+  }
+
+  let results;
+  try {
+    results = runner.run(strategy, loaded.candles, { params, execution });
+    if (typeof args.trades === 'string') BacktestRunner.writeRows(args.trades, results.trades, BacktestRunner.TRADE_FIELDS);
+    if (typeof args.equity === 'string') BacktestRunner.writeRows(args.equity, results.equityCurve, BacktestRunner.EQUITY_FIELDS);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 2;
+  }
+
+  const checks = runner.checkThresholds(results.stats, thresholds);
+  const passed = checks.every(check => check.passed);
+
+  if (args.json) {
+    console.log(JSON.stringify({
+      strategy: strategy.id,
+      params: results.params,
+      candles: loaded.candles.length,
+      quality: loaded.quality,
+      stats: results.stats,
+      thresholds: checks,
+      passed
+    }, null, 2));
+  } else {
+    printSummary(strategy, results.params, loaded, results.stats, checks);
+  }
+
+  return passed ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = BacktestRunner;
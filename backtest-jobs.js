@@ -0,0 +1,319 @@
+// Backtest Jobs - Runs backtests, optimizations and walk-forward analyses off the main thread
+//
+// BacktestJobs runs one job to completion wherever it is loaded; backtest-worker.js wraps
+// it in a Web Worker and BacktestWorkerPool hands jobs to a few of those workers at a time.
+//
+// Jobs and their payloads:
+//   backtest     { strategy, data }
+//   optimize     { strategy, data, options }      (StrategyOptimizer options)
+//   walkForward  { strategy, data, options }      (WalkForwardAnalyzer options)
+//   portfolio    { strategy, datasets, options }  (PortfolioBacktester options)
+//
+// Messages, page -> worker:
+//   { type: 'run', id, job, payload }
+// worker -> page:
+//   { type: 'progress', id, done, total }        (total is null when unknown)
+//   { type: 'result', id, result }
+//   { type: 'error', id, message }
+//
+// A worker busy with a job cannot read further messages, so a running job is cancelled by
+// terminating its worker; the pool starts a fresh one for the next job.
+//
+// Payloads are copied with the structured clone, which cannot copy functions. Function
+// conditions of library strategies and custom objectives are therefore sent as source text
+// in payload.functions and rebuilt in the worker. Such functions must only use their
+// arguments: variables they close over are not sent along.
+
+if (typeof module !== 'undefined' && module.exports) {
+  var StrategyInterpreter = require('./strategy-interpreter.js');
+  var StrategyOptimizer = require('./strategy-optimizer.js');
+  var WalkForwardAnalyzer = require('./walk-forward.js');
+  var PortfolioBacktester = require('./portfolio-backtester.js');
+}
+
+class BacktestJobs {
+  // Run a job synchronously; onProgress(done, total) is called at most every PROGRESS_INTERVAL ms
+  execute(job, payload, onProgress = null) {
+    const { strategy, options = {} } = BacktestJobs.decodePayload(payload);
+    const progress = this.throttleProgress(onProgress);
+
+    switch (job) {
+      case 'backtest':
+        return new StrategyInterpreter({ logging: false, onProgress: progress }).interpret({ ...strategy, data: payload.data });
+      case 'optimize':
+        return new StrategyOptimizer().optimize(strategy, payload.data, { ...options, onProgress: progress });
+      case 'walkForward':
+        return new WalkForwardAnalyzer().run(strategy, payload.data, { ...options, onProgress: progress });
+      case 'portfolio':
+        return new PortfolioBacktester().run(strategy, payload.datasets, { ...options, onProgress: progress });
+      default:
+        throw new Error(`Unknown backtest job: ${job}`);
+    }
+  }
+
+  // Drop progress calls that come too soon after the last one, except the final call
+  throttleProgress(onProgress) {
+    if (!onProgress) return null;
+    let last = 0;
+    return (done, total) => {
+      const now = Date.now();
+      if (done === total || now - last >= BacktestJobs.PROGRESS_INTERVAL) {
+        last = now;
+        onProgress(done, total === undefined ? null : total);
+      }
+    };
+  }
+}
+
+BacktestJobs.PROGRESS_INTERVAL = 100;
+
+// Make a payload cloneable. Functions are only taken from the slots that can hold them, the
+// strategy's conditions and the optimization objective, and their source goes in
+// payload.functions beside the strategy, keyed by slot. Strategy documents are never scanned
+// for source, so nothing in an imported document is compiled. The candles are passed on
+// untouched since they may be large
+BacktestJobs.encodePayload = function(payload) {
+  const functions = {};
+  const take = (slot, value) => {
+    if (typeof value !== 'function') return value;
+    functions[slot] = value.toString();
+    return null;
+  };
+
+  const encoded = { ...payload, functions };
+  if (payload.strategy && payload.strategy.conditions) {
+    const conditions = {};
+    Object.keys(payload.strategy.conditions).forEach(name => {
+      conditions[name] = take(`conditions.${name}`, payload.strategy.conditions[name]);
+    });
+    encoded.strategy = { ...payload.strategy, conditions };
+  }
+  if (payload.options) {
+    const { objective, optimization } = payload.options;
+    encoded.options = { ...payload.options };
+    if (typeof objective === 'function') {
+      encoded.options.objective = take('objective', objective);
+    }
+    if (optimization && typeof optimization.objective === 'function') {
+      encoded.options.optimization = { ...optimization, objective: take('optimization.objective', optimization.objective) };
+    }
+  }
+  return encoded;
+};
+
+// Put the functions taken by encodePayload back into their slots; anything else in
+// payload.functions is ignored
+BacktestJobs.decodePayload = function(payload) {
+  const functions = payload.functions || {};
+  const has = slot => Object.prototype.hasOwnProperty.call(functions, slot);
+  const decoded = { ...payload };
+
+  if (payload.strategy && payload.strategy.conditions) {
+    const conditions = { ...payload.strategy.conditions };
+    Object.keys(conditions).forEach(name => {
+      if (has(`conditions.${name}`)) {
+        conditions[name] = BacktestJobs.compileFunction(functions[`conditions.${name}`]);
+      }
+    });
+    decoded.strategy = { ...payload.strategy, conditions };
+  }
+  if (payload.options) {
+    decoded.options = { ...payload.options };
+    if (has('objective')) {
+      decoded.options.objective = BacktestJobs.compileFunction(functions.objective);
+    }
+    if (payload.options.optimization && has('optimization.objective')) {
+      decoded.options.optimization = {
+        ...payload.options.optimization,
+        objective: BacktestJobs.compileFunction(functions['optimization.objective'])
+      };
+    }
+  }
+  return decoded;
+};
+
+// Turn function source back into a function; method shorthand ('enterLong(values) { ... }')
+// is not an expression on its own and gets a 'function' keyword
+BacktestJobs.compileFunction = function(source) {
+  for (const candidate of [source, `function ${source}`]) {
+    try {
+      return new Function(`return (${candidate});`)();
+    } catch (error) {
+      // Try the next form
+    }
+  }
+  throw new Error(`Cannot send function to the worker: ${source.slice(0, 60)}`);
+};
+
+// Runs jobs on up to `size` Web Workers; when workers are unavailable (no Worker support, or a
+// page opened from file://) jobs run one at a time on the main thread with the same interface
+class BacktestWorkerPool {
+  constructor(options = {}) {
+    this.workerUrl = options.workerUrl || 'backtest-worker.js';
+    this.size = options.size || (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    this.slots = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.inline = typeof Worker === 'undefined';
+  }
+
+  // Queue a job; returns { id, promise, cancel }. options.onProgress(done, total) reports progress
+  run(job, payload, options = {}) {
+    const task = {
+      id: this.nextId++,
+      job,
+      payload: BacktestJobs.encodePayload(payload),
+      onProgress: options.onProgress || null
+    };
+    const promise = new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+
+    this.queue.push(task);
+    this.dispatch();
+
+    return { id: task.id, promise, cancel: () => this.cancel(task.id) };
+  }
+
+  // Number of jobs running or waiting
+  getPendingCount() {
+    return this.queue.length + this.slots.filter(slot => slot.task).length;
+  }
+
+  // Start queued jobs on idle slots
+  dispatch() {
+    while (this.queue.length > 0) {
+      const slot = this.getIdleSlot();
+      if (!slot) return;
+
+      const task = this.queue.shift();
+      slot.task = task;
+      try {
+        slot.post({ type: 'run', id: task.id, job: task.job, payload: task.payload });
+      } catch (error) {
+        // e.g. a DataCloneError for a payload the structured clone cannot copy
+        slot.task = null;
+        task.reject(error);
+      }
+    }
+  }
+
+  getIdleSlot() {
+    const idle = this.slots.find(slot => !slot.task);
+    if (idle) return idle;
+    if (this.slots.length < (this.inline ? 1 : this.size)) {
+      const slot = this.createSlot();
+      this.slots.push(slot);
+      return slot;
+    }
+    return null;
+  }
+
+  // A slot runs one job at a time, on a worker or on the main thread
+  createSlot() {
+    const slot = { task: null };
+
+    if (!this.inline) {
+      try {
+        const worker = new Worker(this.workerUrl);
+        worker.onmessage = event => this.handleMessage(slot, event.data);
+        worker.onerror = event => {
+          event.preventDefault();
+          this.handleMessage(slot, { type: 'error', id: slot.task && slot.task.id, message: event.message || 'Backtest worker failed' });
+        };
+        slot.post = message => worker.postMessage(message);
+        slot.terminate = () => worker.terminate();
+        return slot;
+      } catch (error) {
+        console.warn(`Backtest workers unavailable, running jobs on the main thread: ${error.message}`);
+        this.inline = true;
+      }
+    }
+
+    // Main-thread fallback: a started job cannot be interrupted, so cancelling only discards its result
+    let timer = null;
+    slot.post = message => {
+      timer = setTimeout(() => {
+        timer = null;
+        try {
+          const result = new BacktestJobs().execute(message.job, message.payload, (done, total) => {
+            this.handleMessage(slot, { type: 'progress', id: message.id, done, total });
+          });
+          this.handleMessage(slot, { type: 'result', id: message.id, result });
+        } catch (error) {
+          this.handleMessage(slot, { type: 'error', id: message.id, message: error.message });
+        }
+      }, 0);
+    };
+    slot.terminate = () => clearTimeout(timer);
+    return slot;
+  }
+
+  handleMessage(slot, message) {
+    const task = slot.task;
+    if (!task || task.id !== message.id) return;
+
+    switch (message.type) {
+      case 'progress':
+        if (task.onProgress) {
+          task.onProgress(message.done, message.total);
+        }
+        break;
+      case 'result':
+        slot.task = null;
+        task.resolve(message.result);
+        this.dispatch();
+        break;
+      case 'error':
+        slot.task = null;
+        task.reject(new Error(message.message));
+        this.dispatch();
+        break;
+    }
+  }
+
+  // Cancel a queued or running job; its promise rejects with an error whose `cancelled` is true
+  cancel(id) {
+    const index = this.queue.findIndex(task => task.id === id);
+    if (index !== -1) {
+      const [task] = this.queue.splice(index, 1);
+      task.reject(BacktestWorkerPool.createCancelError());
+      return true;
+    }
+
+    const slot = this.slots.find(candidate => candidate.task && candidate.task.id === id);
+    if (!slot) return false;
+
+    const task = slot.task;
+    slot.task = null;
+    slot.terminate();
+    this.slots.splice(this.slots.indexOf(slot), 1);
+    task.reject(BacktestWorkerPool.createCancelError());
+    this.dispatch();
+    return true;
+  }
+
+  // Cancel everything and stop the workers
+  terminate() {
+    this.queue.splice(0).forEach(task => task.reject(BacktestWorkerPool.createCancelError()));
+    this.slots.splice(0).forEach(slot => {
+      slot.terminate();
+      if (slot.task) {
+        slot.task.reject(BacktestWorkerPool.createCancelError());
+        slot.task = null;
+      }
+    });
+  }
+}
+
+BacktestWorkerPool.createCancelError = function() {
+  const error = new Error('Job cancelled');
+  error.cancelled = true;
+  return error;
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BacktestJobs, BacktestWorkerPool };
+}
@@ -0,0 +1,30 @@
+// Backtest Worker - Web Worker entry point for BacktestWorkerPool (see backtest-jobs.js for the protocol)
+
+importScripts(
+  'strategy-expression.js',
+  'indicators.js',
+  'candle-io.js',
+  'candle-resampler.js',
+  'strategy-interpreter.js',
+  'strategy-optimizer.js',
+  'walk-forward.js',
+  'portfolio-backtester.js',
+  'backtest-jobs.js'
+);
+
+const jobs = new BacktestJobs();
+
+// One job at a time; cancellation terminates the whole worker
+self.onmessage = event => {
+  const message = event.data;
+  if (message.type !== 'run') return;
+
+  try {
+    const result = jobs.execute(message.job, message.payload, (done, total) => {
+      self.postMessage({ type: 'progress', id: message.id, done, total });
+    });
+    self.postMessage({ type: 'result', id: message.id, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', id: message.id, message: error.message });
+  }
+};
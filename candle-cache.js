@@ -0,0 +1,66 @@
+// Candle Cache - Keeps fetched history in IndexedDB, keyed by symbol and interval
+// (and the provider it came from), so later loads only fetch the candles after the cached tail
+
+if (typeof module !== 'undefined' && module.exports) {
+  var IndexedDBStore = require('./indexed-db-store.js');
+}
+
+class CandleCache {
+  constructor(options = {}) {
+    this.store = new IndexedDBStore(options.databaseName || 'candle-cache', 'candles', options);
+    this.maxCandles = options.maxCandles || 50000;
+  }
+
+  // IndexedDB is missing in Node and in some private browsing modes
+  isAvailable() {
+    return this.store.isAvailable();
+  }
+
+  // Cached candles for a symbol/interval, or an empty array
+  async get(symbol, interval, source = '') {
+    if (!this.isAvailable()) return [];
+    const entry = await this.store.request('readonly', store => store.get(CandleCache.getKey(symbol, interval, source)));
+    return entry ? entry.candles : [];
+  }
+
+  // Store candles, keeping only the most recent maxCandles
+  async put(symbol, interval, candles, source = '') {
+    if (!this.isAvailable()) return;
+    await this.store.request('readwrite', store => store.put({
+      key: CandleCache.getKey(symbol, interval, source),
+      source,
+      symbol: symbol.toUpperCase(),
+      interval,
+      updatedAt: Date.now(),
+      candles: candles.slice(-this.maxCandles)
+    }));
+  }
+
+  async remove(symbol, interval, source = '') {
+    if (!this.isAvailable()) return;
+    await this.store.request('readwrite', store => store.delete(CandleCache.getKey(symbol, interval, source)));
+  }
+
+  async clear() {
+    if (!this.isAvailable()) return;
+    await this.store.request('readwrite', store => store.clear());
+  }
+}
+
+CandleCache.getKey = function(symbol, interval, source = '') {
+  return `${source}:${symbol.toUpperCase()}:${interval}`;
+};
+
+// Merge newer candles into older ones; on equal times the newer candle wins
+// (the last cached bar may have been fetched before it closed)
+CandleCache.merge = function(older, newer) {
+  const byTime = new Map();
+  older.forEach(candle => byTime.set(candle.time, candle));
+  newer.forEach(candle => byTime.set(candle.time, candle));
+  return Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CandleCache;
+}
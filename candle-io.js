@@ -0,0 +1,295 @@
+// Candle IO - Imports OHLCV candles from CSV or JSON and exports them again
+//
+// Columns are matched by name (or mapped explicitly), timestamps may be seconds,
+// milliseconds, microseconds, nanoseconds or date strings, and every import returns a
+// report of dropped rows, duplicates and gaps next to the cleaned, sorted candles.
+
+var CandleIO = class CandleIO {
+  // Parse CSV or JSON text into candles
+  // options: format ('csv' | 'json', detected when omitted), columns ({ time: 'Date', ... }),
+  // timezone ('UTC' | 'local' | '+05:30') for date strings without an offset,
+  // timestampUnit ('s' | 'ms' | 'us' | 'ns', detected when omitted), interval (e.g. '1m')
+  parse(content, options = {}) {
+    const format = options.format || CandleIO.detectFormat(content);
+    const table = format === 'csv' ? this.readCSV(content) : this.readJSON(content);
+    const columns = this.resolveColumns(table.header, options.columns);
+    const unit = options.timestampUnit || this.detectTimestampUnit(table.rows.map(row => row[columns.time]));
+    const invalid = [];
+    const candles = [];
+
+    table.rows.forEach((row, index) => {
+      const candle = {
+        time: this.parseTimestamp(row[columns.time], unit, options.timezone),
+        open: parseFloat(row[columns.open]),
+        high: parseFloat(row[columns.high]),
+        low: parseFloat(row[columns.low]),
+        close: parseFloat(row[columns.close]),
+        volume: columns.volume === undefined ? 0 : parseFloat(row[columns.volume]) || 0
+      };
+
+      const reason = CandleIO.getInvalidReason(candle);
+      if (reason) {
+        invalid.push({ row: index + table.firstRow, reason });
+      } else {
+        candles.push(candle);
+      }
+    });
+
+    const result = this.validate(candles, options.interval);
+    return {
+      candles: result.candles,
+      report: { format, columns: table.header ? this.describeColumns(table.header, columns) : columns, timestampUnit: unit, invalid, ...result.report }
+    };
+  }
+
+  // Rows of string cells; the header row is detected by its non-numeric first cell
+  readCSV(content) {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) {
+      throw new Error('CSV file is empty');
+    }
+
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+      lines[0].split(candidate).length > lines[0].split(best).length ? candidate : best, ',');
+    const rows = lines.map(line => CandleIO.splitCSVLine(line, delimiter));
+    const hasHeader = rows[0].some(cell => cell !== '' && isNaN(cell) && isNaN(Date.parse(cell)));
+
+    return {
+      header: hasHeader ? rows[0] : null,
+      rows: hasHeader ? rows.slice(1) : rows,
+      firstRow: hasHeader ? 2 : 1
+    };
+  }
+
+  // An array of candle objects or kline arrays, optionally wrapped in { candles } or { data }
+  readJSON(content) {
+    const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+    const list = Array.isArray(parsed) ? parsed : parsed.candles || parsed.data;
+
+    if (!Array.isArray(list)) {
+      throw new Error('JSON must be an array of candles or an object with a candles array');
+    }
+    if (list.length === 0 || Array.isArray(list[0])) {
+      return { header: null, rows: list, firstRow: 1 };
+    }
+
+    const header = Object.keys(list[0]);
+    return { header, rows: list.map(item => header.map(key => item[key])), firstRow: 1 };
+  }
+
+  // Map each candle field to a column index, from explicit mapping or known column names
+  resolveColumns(header, mapping = {}) {
+    // Headerless data is taken as time, open, high, low, close, volume
+    if (!header) {
+      return { time: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+    }
+
+    const names = header.map(name => String(name).trim().toLowerCase());
+    const columns = {};
+
+    Object.keys(CandleIO.COLUMN_ALIASES).forEach(field => {
+      const wanted = mapping[field] !== undefined
+        ? [String(mapping[field]).trim().toLowerCase()]
+        : CandleIO.COLUMN_ALIASES[field];
+      const index = wanted.map(name => names.indexOf(name)).find(position => position !== -1);
+      if (index !== undefined) columns[field] = index;
+    });
+
+    const missing = ['time', 'open', 'high', 'low', 'close'].filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Could not find column(s) ${missing.join(', ')} in: ${header.join(', ')}`);
+    }
+    return columns;
+  }
+
+  describeColumns(header, columns) {
+    const described = {};
+    Object.keys(columns).forEach(field => {
+      described[field] = header[columns[field]];
+    });
+    return described;
+  }
+
+  // Guess the unit of numeric timestamps from their magnitude; strings are dates
+  detectTimestampUnit(values) {
+    const sample = values.find(value => value !== undefined && value !== null && value !== '');
+    if (sample === undefined || isNaN(sample)) return 'date';
+
+    const magnitude = Math.abs(Number(sample));
+    if (magnitude > 1e17) return 'ns';
+    if (magnitude > 1e14) return 'us';
+    if (magnitude > 1e11) return 'ms';
+    return 's';
+  }
+
+  // Convert a timestamp cell to seconds since the epoch
+  parseTimestamp(value, unit, timezone = 'UTC') {
+    if (unit !== 'date') {
+      return Number(value) / CandleIO.UNITS_PER_SECOND[unit];
+    }
+
+    const text = String(value).trim();
+
+    // Strings that carry their own offset need no timezone
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+      return Date.parse(text) / 1000;
+    }
+
+    const match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/.exec(text);
+    if (!match) {
+      return Date.parse(text) / 1000;
+    }
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map((part, i) => i > 0 && part !== undefined ? parseInt(part, 10) : part);
+    if (timezone === 'local') {
+      return new Date(year, month - 1, day, hour, minute, second).getTime() / 1000;
+    }
+
+    const utc = Date.UTC(year, month - 1, day, hour, minute, second) / 1000;
+    return utc - CandleIO.getOffsetSeconds(timezone);
+  }
+
+  // Sort, drop duplicate timestamps (last one wins) and find gaps
+  validate(candles, interval) {
+    const byTime = new Map();
+    const duplicates = [];
+    let outOfOrder = 0;
+
+    candles.forEach((candle, index) => {
+      if (index > 0 && candle.time < candles[index - 1].time) outOfOrder++;
+      if (byTime.has(candle.time)) duplicates.push(candle.time);
+      byTime.set(candle.time, candle);
+    });
+
+    const sorted = Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+    const seconds = interval ? CandleIO.intervalToSeconds(interval) : CandleIO.detectIntervalSeconds(sorted);
+    const gaps = [];
+
+    for (let i = 1; i < sorted.length && seconds; i++) {
+      const difference = sorted[i].time - sorted[i - 1].time;
+      if (difference > seconds) {
+        gaps.push({ from: sorted[i - 1].time, to: sorted[i].time, missing: Math.round(difference / seconds) - 1 });
+      }
+    }
+
+    return {
+      candles: sorted,
+      report: {
+        count: sorted.length,
+        from: sorted.length > 0 ? sorted[0].time : null,
+        to: sorted.length > 0 ? sorted[sorted.length - 1].time : null,
+        intervalSeconds: seconds,
+        duplicates,
+        outOfOrder,
+        gaps,
+        missingBars: gaps.reduce((sum, gap) => sum + gap.missing, 0)
+      }
+    };
+  }
+
+  // Serialize candles as CSV with a header row (time in seconds)
+  toCSV(candles) {
+    const fields = ['time', 'open', 'high', 'low', 'close', 'volume'];
+    return [fields.join(','), ...candles.map(candle => fields.map(field => candle[field]).join(','))].join('\n') + '\n';
+  }
+
+  toJSON(candles) {
+    return JSON.stringify(candles.map(({ time, open, high, low, close, volume }) => ({ time, open, high, low, close, volume })), null, 2);
+  }
+};
+
+// Accepted column names for each candle field, most specific first
+CandleIO.COLUMN_ALIASES = {
+  time: ['time', 'timestamp', 'date', 'datetime', 'date time', 'open_time', 'opentime', 'open time', 'unix', 't'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c', 'adj close', 'adj_close', 'price'],
+  volume: ['volume', 'vol', 'v', 'base_volume', 'volume_base']
+};
+
+CandleIO.UNITS_PER_SECOND = { s: 1, ms: 1e3, us: 1e6, ns: 1e9 };
+
+// Interval strings like '1m', '4h', '1d', '1w' in seconds
+CandleIO.intervalToSeconds = function(interval) {
+  const match = /^(\d+)([smhdwM])$/.exec(interval);
+  if (!match) {
+    throw new Error(`Invalid interval: ${interval}`);
+  }
+  const units = { s: 1, m: 60, h: 3600, d: 86400, w: 604800, M: 2592000 };
+  return parseInt(match[1], 10) * units[match[2]];
+};
+
+// Format from the first meaningful character
+CandleIO.detectFormat = function(content) {
+  if (typeof content !== 'string') return 'json';
+  const first = content.replace(/^\uFEFF/, '').trim()[0];
+  return first === '[' || first === '{' ? 'json' : 'csv';
+};
+
+// Split one CSV line, honouring double-quoted cells
+CandleIO.splitCSVLine = function(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+// '+05:30' / '-0400' / 'UTC' as seconds east of UTC
+CandleIO.getOffsetSeconds = function(timezone) {
+  if (!timezone || /^(utc|gmt|z)$/i.test(timezone)) return 0;
+
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone);
+  if (!match) {
+    throw new Error(`Unsupported timezone: ${timezone} (use UTC, local or an offset like +05:30)`);
+  }
+  const seconds = parseInt(match[2], 10) * 3600 + parseInt(match[3], 10) * 60;
+  return match[1] === '-' ? -seconds : seconds;
+};
+
+CandleIO.getInvalidReason = function(candle) {
+  if (!Number.isFinite(candle.time)) return 'invalid timestamp';
+  if (['open', 'high', 'low', 'close'].some(field => !Number.isFinite(candle[field]))) return 'missing price';
+  if (candle.high < Math.max(candle.open, candle.close) || candle.low > Math.min(candle.open, candle.close)) {
+    return 'high/low do not contain open/close';
+  }
+  return null;
+};
+
+// Most common spacing between consecutive candles
+CandleIO.detectIntervalSeconds = function(candles) {
+  const counts = new Map();
+  for (let i = 1; i < candles.length; i++) {
+    const difference = candles[i].time - candles[i - 1].time;
+    counts.set(difference, (counts.get(difference) || 0) + 1);
+  }
+
+  let best = null;
+  counts.forEach((count, difference) => {
+    if (best === null || count > counts.get(best)) best = difference;
+  });
+  return best;
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CandleIO;
+}
@@ -0,0 +1,103 @@
+// Candle Resampler - Aggregates lower-timeframe candles into higher ones, including
+// intervals no exchange offers (e.g. 7m), and folds live ticks into the current bar
+
+if (typeof module !== 'undefined' && module.exports) {
+  var CandleIO = require('./candle-io.js');
+}
+
+var CandleResampler = class CandleResampler {
+  constructor(targetInterval) {
+    this.interval = targetInterval;
+    this.seconds = CandleIO.intervalToSeconds(targetInterval);
+    // Weekly bars start on Monday like the exchanges' (the epoch was a Thursday)
+    this.offset = this.seconds % CandleResampler.WEEK === 0 ? CandleResampler.MONDAY_OFFSET : 0;
+
+    // Live state: the base candles of the bar currently forming, keyed by their time
+    this.bucket = null;
+    this.parts = new Map();
+  }
+
+  // Start time of the higher-timeframe bar containing `time`
+  getBucket(time) {
+    return Math.floor((time - this.offset) / this.seconds) * this.seconds + this.offset;
+  }
+
+  // Aggregate sorted base candles; the last bar may be incomplete
+  resample(candles) {
+    const bars = [];
+    let bar = null;
+
+    candles.forEach(candle => {
+      const bucket = this.getBucket(candle.time);
+      if (!bar || bar.time !== bucket) {
+        bar = { time: bucket, open: candle.open, high: candle.high, low: candle.low, close: candle.close, volume: candle.volume || 0 };
+        bars.push(bar);
+      } else {
+        bar.high = Math.max(bar.high, candle.high);
+        bar.low = Math.min(bar.low, candle.low);
+        bar.close = candle.close;
+        bar.volume += candle.volume || 0;
+      }
+    });
+
+    return bars;
+  }
+
+  // Remember the base candles of the newest bar so live updates extend it correctly
+  seed(candles) {
+    this.parts.clear();
+    this.bucket = null;
+    if (candles.length === 0) return;
+
+    this.bucket = this.getBucket(candles[candles.length - 1].time);
+    candles.filter(candle => this.getBucket(candle.time) === this.bucket)
+      .forEach(candle => this.parts.set(candle.time, candle));
+  }
+
+  // Fold a live base candle (which may be updated many times before it closes) into the
+  // current bar; returns the bar and whether it is complete
+  update(candle, baseSeconds, closed = false) {
+    const bucket = this.getBucket(candle.time);
+    if (bucket !== this.bucket) {
+      this.bucket = bucket;
+      this.parts.clear();
+    }
+    this.parts.set(candle.time, candle);
+
+    const parts = Array.from(this.parts.values()).sort((a, b) => a.time - b.time);
+    const bar = this.resample(parts)[0];
+
+    // The bar is complete once the base candle that ends it has closed
+    return { candle: bar, closed: closed && candle.time + baseSeconds >= bucket + this.seconds };
+  }
+};
+
+CandleResampler.WEEK = 604800;
+CandleResampler.MONDAY_OFFSET = 345600;
+
+// Intervals offered in the UI; anything of the form <n><s|m|h|d|w> is accepted
+CandleResampler.COMMON_INTERVALS = ['1m', '3m', '5m', '7m', '15m', '30m', '1h', '2h', '4h', '6h', '12h', '1d', '3d', '1w'];
+
+// The largest available interval that divides the target evenly, to build it from
+CandleResampler.getBaseInterval = function(target, available) {
+  const targetSeconds = CandleIO.intervalToSeconds(target);
+  const weekly = targetSeconds % CandleResampler.WEEK === 0;
+
+  const candidates = available
+    .filter(interval => {
+      const seconds = CandleIO.intervalToSeconds(interval);
+      // Day-multiples other than whole days do not line up with Monday-based weeks
+      return targetSeconds % seconds === 0 && (!weekly || 86400 % seconds === 0 || seconds % 86400 === 0);
+    })
+    .sort((a, b) => CandleIO.intervalToSeconds(b) - CandleIO.intervalToSeconds(a));
+
+  if (candidates.length === 0) {
+    throw new Error(`Cannot build ${target} candles from ${available.join(', ')}`);
+  }
+  return candidates[0];
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CandleResampler;
+}
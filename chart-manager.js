@@ -1,37 +1,45 @@
 // Chart Manager - Handles chart operations and data management
 class ChartManager {
-  constructor(chartContainerId) {
+  constructor(chartContainerId, options = {}) {
     this.chartContainer = document.getElementById(chartContainerId);
     this.chart = null;
     this.candleSeries = null;
     this.indicatorSeries = {};
+    this.equitySeries = {};
     this.currentData = [];
-    this.websocket = null;
+    this.dataProvider = options.dataProvider || new BinanceDataProvider();
+    this.subscription = null;
+    this.cache = options.cache || null;
+    this.resampler = null;
+    // Interval of the candles on the chart (null for data not loaded through fetchData)
+    this.interval = null;
+    this.qualityChecker = new DataQuality();
+    this.dataQuality = null;
+    this.liveListeners = [];
+    this.statusListeners = [];
+    // Reconnect, heartbeat and backfill settings of the live stream (see live-stream.js)
+    this.streamOptions = options.stream || {};
+    // Indicators on the chart, kept so live candles extend them without a full recalculation
+    this.liveIndicators = [];
+    // Indicator panes stacked below the candles, by id
+    this.panes = {};
+    this.syncing = false;
+    // Upper bound on base candles fetched to build a resampled or date-ranged series
+    this.maxBaseCandles = options.maxBaseCandles || 50000;
     
     this.initChart();
   }
 
   // Initialize the chart
   initChart() {
-    this.chart = LightweightCharts.createChart(this.chartContainer, {
-      layout: { 
-        backgroundColor: '#000000', 
-        textColor: '#ffffff' 
-      },
-      grid: { 
-        vertLines: { color: '#333333' }, 
-        horLines: { color: '#333333' } 
-      },
-      timeScale: { 
-        timeVisible: true, 
-        secondsVisible: false 
-      },
-      crosshair: {
-        mode: LightweightCharts.CrosshairMode.Normal,
-      },
-      rightPriceScale: {
-        borderColor: '#333333',
-      },
+    // The candles fill the container apart from the indicator panes stacked below them
+    this.mainContainer = document.createElement('div');
+    this.chartContainer.appendChild(this.mainContainer);
+
+    this.chart = LightweightCharts.createChart(this.mainContainer, {
+      ...ChartManager.CHART_OPTIONS,
+      width: this.chartContainer.clientWidth,
+      height: this.chartContainer.clientHeight
     });
 
     this.candleSeries = this.chart.addCandlestickSeries({
@@ -42,101 +50,333 @@ class ChartManager {
       wickDownColor: '#ef5350'
     });
 
+    this.syncChart(this.chart);
+
     // Handle chart resize
-    window.addEventListener('resize', () => {
-      this.chart.applyOptions({ width: this.chartContainer.clientWidth });
+    window.addEventListener('resize', () => this.layoutPanes());
+  }
+
+  // Add an indicator pane below the candles, with its own price scale and a time scale and
+  // crosshair that follow the candles; returns the existing pane if the id is taken
+  // options: { height (px), title, levels (reference prices such as [30, 70]) }
+  addPane(id, options = {}) {
+    if (this.panes[id]) return this.panes[id];
+
+    // A drag handle above the pane resizes it
+    const divider = document.createElement('div');
+    divider.style.cssText = `height: ${ChartManager.DIVIDER_HEIGHT}px; cursor: row-resize; background: #333333;`;
+    const container = document.createElement('div');
+    container.style.position = 'relative';
+    this.chartContainer.appendChild(divider);
+    this.chartContainer.appendChild(container);
+
+    const chart = LightweightCharts.createChart(container, {
+      ...ChartManager.CHART_OPTIONS,
+      timeScale: { ...ChartManager.CHART_OPTIONS.timeScale, visible: false }
     });
+
+    const pane = {
+      id,
+      chart,
+      container,
+      divider,
+      height: options.height || ChartManager.DEFAULT_PANE_HEIGHT,
+      levels: options.levels || [],
+      series: []
+    };
+    this.panes[id] = pane;
+
+    // Title and close button in the top-left corner
+    const header = document.createElement('div');
+    header.style.cssText = 'position: absolute; top: 2px; left: 6px; z-index: 2; font-size: 11px; color: #aaaaaa;';
+    header.textContent = options.title || id;
+    const close = document.createElement('span');
+    close.textContent = ' \u00d7';
+    close.title = 'Remove pane';
+    close.style.cursor = 'pointer';
+    close.addEventListener('click', () => this.removePane(id));
+    header.appendChild(close);
+    container.appendChild(header);
+
+    divider.addEventListener('mousedown', event => this.startPaneResize(pane, event));
+    this.syncChart(chart);
+    this.layoutPanes();
+
+    const range = this.chart.timeScale().getVisibleLogicalRange();
+    if (range) chart.timeScale().setVisibleLogicalRange(range);
+    return pane;
   }
 
-  // Fetch historical data
-  async fetchData(symbol, interval = '1m', limit = 5000) {
-    let allCandles = [];
-    let endTime = Date.now();
-    const batchSize = 1000; // Binance's max per request
-    const loops = Math.ceil(limit / batchSize);
+  // Remove one pane with its indicators
+  removePane(id) {
+    const pane = this.panes[id];
+    if (!pane) return;
 
-    console.log(`Fetching up to ${limit} candles for ${symbol}...`);
+    Object.keys(this.indicatorSeries).forEach(key => {
+      if (pane.series.includes(this.indicatorSeries[key])) delete this.indicatorSeries[key];
+    });
+    this.liveIndicators = this.liveIndicators.filter(entry => !Object.values(entry.series).some(series => pane.series.includes(series)));
 
-    for (let i = 0; i < loops; i++) {
-      const url = `https://api.binance.com/api/v3/klines?symbol=${symbol.toUpperCase()}&interval=${interval}&limit=${batchSize}&endTime=${endTime}`;
-      
-      try {
-        const res = await fetch(url);
-        const raw = await res.json();
+    if (id === ChartManager.EQUITY_PANE) {
+      this.equitySeries = {};
+    }
 
-        if (!raw.length) break;
+    pane.chart.remove();
+    pane.divider.remove();
+    pane.container.remove();
+    delete this.panes[id];
+    this.layoutPanes();
+  }
 
-        const candles = raw.map(d => ({
-          time: d[0] / 1000,
-          open: parseFloat(d[1]),
-          high: parseFloat(d[2]),
-          low: parseFloat(d[3]),
-          close: parseFloat(d[4]),
-          volume: parseFloat(d[5])
-        }));
+  resizePane(id, height) {
+    if (!this.panes[id]) return;
+    this.panes[id].height = Math.max(height, ChartManager.MIN_PANE_HEIGHT);
+    this.layoutPanes();
+  }
 
-        allCandles = [...candles, ...allCandles];
-        endTime = raw[0][0] - 1;
+  // Drag the divider above a pane to resize it; the candles give or take the difference
+  startPaneResize(pane, event) {
+    event.preventDefault();
+    const startY = event.clientY;
+    const startHeight = pane.height;
 
-        console.log(`Fetched ${candles.length} candles, total: ${allCandles.length}`);
+    const onMove = moveEvent => this.resizePane(pane.id, startHeight + startY - moveEvent.clientY);
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  }
 
-        if (candles.length < batchSize) break;
-      } catch (error) {
-        console.error('Error fetching data:', error);
-        break;
+  // Size the candles and the panes to the container
+  layoutPanes() {
+    const width = this.chartContainer.clientWidth;
+    const panes = Object.values(this.panes);
+    const paneSpace = panes.reduce((sum, pane) => sum + pane.height + ChartManager.DIVIDER_HEIGHT, 0);
+
+    this.chart.resize(width, Math.max(this.chartContainer.clientHeight - paneSpace, ChartManager.MIN_PANE_HEIGHT));
+    panes.forEach(pane => pane.chart.resize(width, pane.height));
+  }
+
+  // Keep the visible range and crosshair of the candles and every pane in step
+  syncChart(chart) {
+    chart.timeScale().subscribeVisibleLogicalRangeChange(range => {
+      if (this.syncing || !range) return;
+      this.syncing = true;
+      this.getChartViews()
+        .filter(view => view.chart !== chart)
+        .forEach(view => view.chart.timeScale().setVisibleLogicalRange(range));
+      this.syncing = false;
+    });
+
+    chart.subscribeCrosshairMove(param => {
+      if (this.syncing) return;
+      this.syncing = true;
+      this.getChartViews()
+        .filter(view => view.chart !== chart)
+        .forEach(view => ChartManager.moveCrosshair(view, param));
+      this.syncing = false;
+    });
+  }
+
+  // The candle chart and each pane chart with the series their crosshair follows
+  getChartViews() {
+    return [
+      { chart: this.chart, series: this.candleSeries },
+      ...Object.values(this.panes).map(pane => ({ chart: pane.chart, series: pane.series[0] }))
+    ];
+  }
+
+  // Cached candles, or none if the cache cannot be read
+  async loadCached(symbol, interval) {
+    try {
+      return await this.cache.get(symbol, interval, this.dataProvider.name);
+    } catch (error) {
+      console.error('Error reading candle cache:', error);
+      return [];
+    }
+  }
+
+  // Show candles that did not come from the data provider (e.g. an imported file)
+  setData(candles) {
+    this.closeStream();
+    this.interval = null;
+    this.currentData = candles;
+    this.candleSeries.setData(candles);
+    this.dataQuality = this.qualityChecker.check(candles);
+  }
+
+  // Switch the source of historical and live candles (see data-providers.js)
+  setDataProvider(provider) {
+    this.closeStream();
+    this.dataProvider = provider;
+  }
+
+  // Fetch historical data and show it, optionally limited to a date range (options.startTime/endTime in ms)
+  async fetchData(symbol, interval = '1m', limit = 5000, options = {}) {
+    const { candles, resampler, quality } = await this.loadCandles(symbol, interval, limit, options);
+
+    this.resampler = resampler;
+    this.interval = interval;
+    this.currentData = candles;
+    this.candleSeries.setData(candles);
+    this.dataQuality = quality;
+
+    return candles;
+  }
+
+  // Gaps, duplicates and zero-volume bars found in the candles when they were loaded (see data-quality.js)
+  getDataQuality() {
+    return this.dataQuality;
+  }
+
+  // Forward-fill gaps, and zero-volume bars without valid prices, of the candles on the chart; the
+  // live stream keeps running
+  // options: { fillGaps, fillZeroVolume } (both by default); returns DataQuality's repair summary
+  repairData(options = { fillGaps: true, fillZeroVolume: true }) {
+    const interval = this.interval || undefined;
+    const result = this.qualityChecker.repair(this.currentData, { ...options, interval });
+
+    this.currentData = result.candles;
+    this.candleSeries.setData(result.candles);
+    this.dataQuality = this.qualityChecker.check(result.candles, interval);
+
+    return result;
+  }
+
+  // Historical candles for any symbol, without touching the chart. Intervals the provider lacks
+  // are resampled from the largest native interval that divides them; the resampler (seeded
+  // with the base candles, for folding in the live stream) is returned with them, or null,
+  // together with the candles' quality report
+  async loadCandles(symbol, interval = '1m', limit = 5000, options = {}) {
+    const baseInterval = CandleResampler.getBaseInterval(interval, this.dataProvider.getIntervals(symbol));
+    const baseSeconds = CandleIO.intervalToSeconds(baseInterval);
+    const ratio = CandleIO.intervalToSeconds(interval) / baseSeconds;
+    const ranged = Boolean(options.startTime || options.endTime);
+
+    let baseLimit = limit * ratio;
+    if (options.startTime) {
+      baseLimit = Math.ceil(((options.endTime || Date.now()) - options.startTime) / 1000 / baseSeconds);
+    }
+    baseLimit = Math.min(baseLimit, this.maxBaseCandles);
+
+    const base = ranged
+      ? await this.dataProvider.fetchHistory(symbol, baseInterval, baseLimit, options)
+      : await this.fetchLatest(symbol, baseInterval, baseLimit);
+
+    let candles = base;
+    let resampler = null;
+    if (baseInterval !== interval) {
+      resampler = new CandleResampler(interval);
+      candles = resampler.resample(base);
+      resampler.seed(base);
+
+      // The oldest bar is partial unless the history starts on its boundary
+      if (candles.length > 0 && candles[0].time !== base[0].time) {
+        candles = candles.slice(1);
       }
+      console.log(`Resampled ${base.length} ${baseInterval} candles into ${candles.length} ${interval} candles`);
     }
 
-    console.log(`Total candles fetched: ${allCandles.length}`);
-    
-    this.currentData = allCandles;
-    this.candleSeries.setData(allCandles);
-    
-    return allCandles;
+    if (!ranged) {
+      candles = candles.slice(-limit);
+    }
+
+    return { candles, resampler, quality: this.qualityChecker.check(candles, interval) };
   }
 
-  // Setup real-time data stream
-  setupWebSocket(symbol, interval = '1m') {
-    if (this.websocket) {
-      this.websocket.close();
+  // Latest candles, starting from the cached history when the provider allows it
+  async fetchLatest(symbol, interval, limit) {
+    const useCache = this.cache && this.dataProvider.cacheable;
+    const cached = useCache ? await this.loadCached(symbol, interval) : [];
+    const last = cached[cached.length - 1];
+    let candles;
+
+    if (last && (Date.now() / 1000 - last.time) / CandleIO.intervalToSeconds(interval) < limit) {
+      // Only the tail is missing; the last cached bar is refetched since it may not have closed
+      const tail = await this.dataProvider.fetchHistory(symbol, interval, limit, { startTime: last.time * 1000 });
+      console.log(`Loaded ${cached.length} cached candles for ${symbol}, fetched ${tail.length} new`);
+      candles = CandleCache.merge(cached, tail);
+    } else {
+      candles = await this.dataProvider.fetchHistory(symbol, interval, limit);
     }
 
-    this.websocket = new WebSocket(`wss://stream.binance.com:9443/ws/${symbol}@kline_${interval}`);
-    
-    this.websocket.onmessage = (event) => {
-      const message = JSON.parse(event.data);
-      const k = message.k;
-      
-      const liveCandle = {
-        time: k.t / 1000,
-        open: parseFloat(k.o),
-        high: parseFloat(k.h),
-        low: parseFloat(k.l),
-        close: parseFloat(k.c),
-        volume: parseFloat(k.v)
-      };
-
-      this.candleSeries.update(liveCandle);
-      
+    if (useCache) {
+      this.cache.put(symbol, interval, candles, this.dataProvider.name)
+        .catch(error => console.error('Error caching candles:', error));
+    }
+    return candles.slice(-limit);
+  }
+
+  // Setup real-time data stream; resampled intervals fold the base stream into the current bar
+  // The stream reconnects by itself and backfills the bars missed while it was down
+  setupWebSocket(symbol, interval = '1m') {
+    this.closeStream();
+
+    const baseInterval = CandleResampler.getBaseInterval(interval, this.dataProvider.getIntervals(symbol));
+    const baseSeconds = CandleIO.intervalToSeconds(baseInterval);
+    const resampler = baseInterval === interval
+      ? null
+      : (this.resampler && this.resampler.interval === interval ? this.resampler : new CandleResampler(interval));
+
+    const lastCandle = this.currentData[this.currentData.length - 1];
+    const onCandle = (update, status = {}) => {
+      const folded = resampler ? resampler.update(update, baseSeconds, status.closed) : { candle: update, closed: Boolean(status.closed) };
+      const candle = folded.candle;
+
       // Update current data array
       const lastIndex = this.currentData.length - 1;
-      if (this.currentData[lastIndex] && this.currentData[lastIndex].time === liveCandle.time) {
-        this.currentData[lastIndex] = liveCandle;
+      if (this.currentData[lastIndex] && candle.time < this.currentData[lastIndex].time) {
+        return;
+      }
+
+      this.candleSeries.update(candle);
+      if (this.currentData[lastIndex] && this.currentData[lastIndex].time === candle.time) {
+        this.currentData[lastIndex] = candle;
       } else {
-        this.currentData.push(liveCandle);
+        this.currentData.push(candle);
       }
+      this.updateLiveIndicators(candle);
+
+      this.liveListeners.forEach(listener => listener(candle, { closed: folded.closed }));
     };
 
-    this.websocket.onerror = (error) => {
-      console.error('WebSocket error:', error);
+    this.subscription = new LiveStream(this.dataProvider, symbol, baseInterval, {
+      ...this.streamOptions,
+      lastTime: lastCandle ? lastCandle.time : null,
+      onCandle,
+      onStatus: event => this.statusListeners.forEach(listener => listener(event))
+    }).start();
+  }
+
+  // Be notified of every live candle update (at the chart's interval) and whether the bar closed
+  // Returns a function that removes the listener
+  onLiveCandle(listener) {
+    this.liveListeners.push(listener);
+    return () => {
+      this.liveListeners = this.liveListeners.filter(item => item !== listener);
     };
+  }
 
-    this.websocket.onclose = () => {
-      console.log('WebSocket connection closed');
+  // Be notified of live stream status changes (connecting, connected, reconnecting, ...; see live-stream.js)
+  // Returns a function that removes the listener
+  onStreamStatus(listener) {
+    this.statusListeners.push(listener);
+    return () => {
+      this.statusListeners = this.statusListeners.filter(item => item !== listener);
     };
   }
 
-  // Add indicator overlay
+  // Stop the live stream, if any
+  closeStream() {
+    if (this.subscription) {
+      this.subscription.close();
+      this.subscription = null;
+    }
+  }
+
+  // Add indicator overlay, or a series in the pane given as options.pane
   addIndicator(type, data, options = {}) {
     const defaultOptions = {
       color: '#2196F3',
@@ -145,85 +385,117 @@ class ChartManager {
       lastValueVisible: false
     };
 
-    const seriesOptions = { ...defaultOptions, ...options };
+    const { pane: paneId, ...rest } = options;
+    const seriesOptions = { ...defaultOptions, ...rest };
+    const pane = paneId ? this.addPane(paneId) : null;
+    const chart = pane ? pane.chart : this.chart;
     
     let series;
     switch (type) {
       case 'line':
-        series = this.chart.addLineSeries(seriesOptions);
+        series = chart.addLineSeries(seriesOptions);
         break;
       case 'area':
-        series = this.chart.addAreaSeries(seriesOptions);
+        series = chart.addAreaSeries(seriesOptions);
         break;
       case 'histogram':
-        series = this.chart.addHistogramSeries(seriesOptions);
+        series = chart.addHistogramSeries(seriesOptions);
         break;
       default:
         throw new Error(`Unknown indicator type: ${type}`);
     }
 
     series.setData(data);
+
+    // The pane's reference lines hang off its first series
+    if (pane) {
+      if (pane.series.length === 0) {
+        pane.levels.forEach(price => series.createPriceLine({
+          price,
+          color: '#666666',
+          lineWidth: 1,
+          lineStyle: LightweightCharts.LineStyle.Dashed,
+          axisLabelVisible: true,
+          title: ''
+        }));
+      }
+      pane.series.push(series);
+    }
     return series;
   }
 
   // Add moving average
   addMovingAverage(period, type = 'sma', options = {}) {
-    const data = this.calculateMovingAverage(period, type);
+    const indicator = Indicators.create(type, { period });
     const seriesId = `${type}${period}`;
-    
-    this.indicatorSeries[seriesId] = this.addIndicator('line', data, {
+
+    this.indicatorSeries[seriesId] = this.addIndicator('line', this.calculateIndicator(indicator), {
       color: options.color || this.getRandomColor(),
       ...options
     });
+    this.trackIndicator(indicator, { value: this.indicatorSeries[seriesId] });
 
     return this.indicatorSeries[seriesId];
   }
 
-  // Add RSI
+  // Add RSI in its own pane (or options.pane) with 30/70 reference lines
   addRSI(period = 14, options = {}) {
-    const data = this.calculateRSI(period);
+    const indicator = Indicators.create('rsi', { period });
     const seriesId = `rsi${period}`;
-    
-    this.indicatorSeries[seriesId] = this.addIndicator('line', data, {
+    const pane = options.pane || seriesId;
+    this.addPane(pane, { title: `RSI ${period}`, levels: [30, 70] });
+
+    this.indicatorSeries[seriesId] = this.addIndicator('line', this.calculateIndicator(indicator), {
       color: options.color || '#FF9800',
-      ...options
+      ...options,
+      pane
     });
+    this.trackIndicator(indicator, { value: this.indicatorSeries[seriesId] });
 
     return this.indicatorSeries[seriesId];
   }
 
-  // Add MACD
+  // Add MACD in its own pane (or options.pane) with a zero line
   addMACD(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9, options = {}) {
-    const macdData = this.calculateMACD(fastPeriod, slowPeriod, signalPeriod);
+    const indicator = Indicators.create('macd', { fastPeriod, slowPeriod, signalPeriod });
+    const macdData = this.calculateIndicator(indicator);
+    const pane = options.pane || 'macd';
+    this.addPane(pane, { title: `MACD ${fastPeriod} ${slowPeriod} ${signalPeriod}`, levels: [0] });
     
+    // Add histogram first so the lines are drawn over it
+    this.indicatorSeries['macdHistogram'] = this.addIndicator('histogram', macdData.histogram, {
+      color: options.histogramColor || '#4CAF50',
+      ...options,
+      pane
+    });
+
     // Add MACD line
     this.indicatorSeries['macd'] = this.addIndicator('line', macdData.macd, {
       color: options.macdColor || '#2196F3',
-      ...options
+      ...options,
+      pane
     });
 
     // Add signal line
     this.indicatorSeries['macdSignal'] = this.addIndicator('line', macdData.signal, {
       color: options.signalColor || '#FF5722',
-      ...options
-    });
-
-    // Add histogram
-    this.indicatorSeries['macdHistogram'] = this.addIndicator('histogram', macdData.histogram, {
-      color: options.histogramColor || '#4CAF50',
-      ...options
+      ...options,
+      pane
     });
 
-    return {
+    const series = {
       macd: this.indicatorSeries['macd'],
       signal: this.indicatorSeries['macdSignal'],
       histogram: this.indicatorSeries['macdHistogram']
     };
+    this.trackIndicator(indicator, series);
+    return series;
   }
 
   // Add Bollinger Bands
   addBollingerBands(period = 20, stdDev = 2, options = {}) {
-    const bbData = this.calculateBollingerBands(period, stdDev);
+    const indicator = Indicators.create('bollinger', { period, stdDev });
+    const bbData = this.calculateIndicator(indicator);
     
     this.indicatorSeries['bbUpper'] = this.addIndicator('line', bbData.upper, {
       color: options.upperColor || '#FF5722',
@@ -240,11 +512,122 @@ class ChartManager {
       ...options
     });
 
-    return {
+    const series = {
       upper: this.indicatorSeries['bbUpper'],
       middle: this.indicatorSeries['bbMiddle'],
       lower: this.indicatorSeries['bbLower']
     };
+    this.trackIndicator(indicator, series);
+    return series;
+  }
+
+  // Add any registered indicator by name, drawn with its registered plot style, e.g.
+  //   plotIndicator('adx', { period: 14 }) or plotIndicator('keltner', { period: 20, multiplier: 2 })
+  // Overlays share the candles' price scale; the others get a pane of their own (or options.pane).
+  // Returns the series, or an object of series keyed by output for multi-value indicators
+  plotIndicator(name, params = {}, options = {}) {
+    const definition = Indicators.get(name);
+    const plot = definition.plot;
+    const pane = plot.overlay ? null : (options.pane || name);
+    if (pane) {
+      this.addPane(pane, { title: name, levels: plot.levels });
+    }
+
+    const indicator = Indicators.create(name, params);
+    const outputs = this.currentData.map(candle => indicator.update(candle));
+    const series = {};
+    const pointColors = {};
+
+    // Outputs without a registered style are drawn as lines; a null style hides the output
+    Object.keys(definition.outputs).forEach(key => {
+      const outputStyle = plot.outputs[key] === undefined ? { type: 'line', color: this.getRandomColor() } : plot.outputs[key];
+      if (outputStyle === null) return;
+
+      const { type = 'line', pointColor, ...style } = outputStyle;
+      const data = outputs.map((output, i) => ChartManager.toPoint(this.currentData[i].time, ChartManager.getOutput(output, key), pointColor && pointColor(output)));
+      const seriesId = key === 'value' ? name : `${name}.${key}`;
+
+      this.indicatorSeries[seriesId] = this.addIndicator(type, data, {
+        ...style,
+        ...(options[key] || {}),
+        pane
+      });
+      series[key] = this.indicatorSeries[seriesId];
+      if (pointColor) pointColors[key] = pointColor;
+    });
+
+    this.trackIndicator(indicator, series, pointColors);
+    return Indicators.isSingleOutput(definition.outputs) ? series.value : series;
+  }
+
+  // Keep an indicator that has seen the loaded candles so live updates extend its series;
+  // `series` maps each output of the indicator ('value' for single-value ones) to its series
+  // and `pointColors` optionally colours each point from the indicator output
+  trackIndicator(indicator, series, pointColors = {}) {
+    const last = this.currentData[this.currentData.length - 1];
+    this.liveIndicators.push({ indicator, series, pointColors, time: last ? last.time : null });
+  }
+
+  // Apply a live candle to every tracked indicator; ticks of the forming bar revise its
+  // value, a new bar appends one
+  updateLiveIndicators(candle) {
+    this.liveIndicators.forEach(entry => {
+      if (entry.time !== null && candle.time < entry.time) return;
+
+      const output = entry.indicator.update(candle, candle.time === entry.time);
+      entry.time = candle.time;
+      Object.keys(entry.series).forEach(key => {
+        const color = entry.pointColors[key] && entry.pointColors[key](output);
+        entry.series[key].update(ChartManager.toPoint(candle.time, ChartManager.getOutput(output, key), color));
+      });
+    });
+  }
+
+  // Add the backtest equity curve (and buy-and-hold benchmark) in its own pane below the
+  // candles; options.paneHeight in px
+  addEquityCurve(equityCurve, options = {}) {
+    this.removeEquityCurve();
+    const pane = this.addPane(ChartManager.EQUITY_PANE, { title: 'Equity', height: options.paneHeight });
+
+    // Panes follow the candles by bar index, so bars before the curve starts are left blank
+    const start = equityCurve.length > 0 ? equityCurve[0].time : Infinity;
+    const blank = this.currentData.filter(candle => candle.time < start).map(candle => ({ time: candle.time }));
+
+    this.equitySeries.equity = pane.chart.addAreaSeries({
+      lineColor: options.equityColor || '#4CAF50',
+      topColor: options.topColor || 'rgba(76, 175, 80, 0.4)',
+      bottomColor: options.bottomColor || 'rgba(76, 175, 80, 0.0)',
+      lineWidth: 1,
+      priceLineVisible: false,
+      lastValueVisible: true
+    });
+    this.equitySeries.equity.setData([...blank, ...equityCurve.map(point => ({ time: point.time, value: point.equity }))]);
+
+    // Buy-and-hold equity from the same starting capital, for comparison
+    if (options.showBenchmark !== false && equityCurve.length > 0) {
+      const startEquity = equityCurve[0].equity;
+      const startClose = equityCurve[0].close;
+
+      this.equitySeries.benchmark = pane.chart.addLineSeries({
+        color: options.benchmarkColor || '#9E9E9E',
+        lineWidth: 1,
+        lineStyle: LightweightCharts.LineStyle.Dashed,
+        priceLineVisible: false,
+        lastValueVisible: false
+      });
+      this.equitySeries.benchmark.setData([...blank, ...equityCurve.map(point => ({
+        time: point.time,
+        value: startEquity * point.close / startClose
+      }))]);
+    }
+
+    pane.series.push(...Object.values(this.equitySeries));
+    return this.equitySeries;
+  }
+
+  // Remove the equity pane; the candles take its height back
+  removeEquityCurve() {
+    this.removePane(ChartManager.EQUITY_PANE);
   }
 
   // Set markers (buy/sell signals)
@@ -252,12 +635,14 @@ class ChartManager {
     this.candleSeries.setMarkers(markers);
   }
 
-  // Clear all indicators
+  // Clear all indicators and their panes (the equity pane has removeEquityCurve)
   clearIndicators() {
+    Object.keys(this.panes).filter(id => id !== ChartManager.EQUITY_PANE).forEach(id => this.removePane(id));
     Object.values(this.indicatorSeries).forEach(series => {
       this.chart.removeSeries(series);
     });
     this.indicatorSeries = {};
+    this.liveIndicators = [];
   }
 
   // Clear markers
@@ -270,112 +655,40 @@ class ChartManager {
     return this.currentData;
   }
 
+  // Run an indicator over the loaded candles as chart points; multi-value indicators
+  // return one series per output (e.g. { upper, middle, lower })
+  calculateIndicator(indicator) {
+    const outputs = this.currentData.map(candle => indicator.update(candle));
+    const toPoints = key => outputs.map((output, i) => ChartManager.toPoint(this.currentData[i].time, ChartManager.getOutput(output, key)));
+
+    if (indicator.value !== null && typeof indicator.value === 'object') {
+      const series = {};
+      Object.keys(indicator.value).forEach(key => {
+        series[key] = toPoints(key);
+      });
+      return series;
+    }
+    return toPoints('value');
+  }
+
   // Calculate moving average
   calculateMovingAverage(period, type = 'sma') {
-    const result = [];
-    
-    for (let i = 0; i < this.currentData.length; i++) {
-      if (i < period - 1) {
-        result.push({ time: this.currentData[i].time, value: null });
-      } else {
-        const slice = this.currentData.slice(i - period + 1, i + 1);
-        let value;
-        
-        if (type === 'sma') {
-          value = slice.reduce((sum, candle) => sum + candle.close, 0) / period;
-        } else if (type === 'ema') {
-          const k = 2 / (period + 1);
-          if (i === period - 1) {
-            value = slice.reduce((sum, candle) => sum + candle.close, 0) / period;
-          } else {
-            value = this.currentData[i].close * k + result[i - 1].value * (1 - k);
-          }
-        }
-        
-        result.push({ time: this.currentData[i].time, value });
-      }
-    }
-    
-    return result;
+    return this.calculateIndicator(Indicators.create(type, { period }));
   }
 
   // Calculate RSI
   calculateRSI(period = 14) {
-    const result = [];
-    const gains = [];
-    const losses = [];
-
-    // Calculate price changes
-    for (let i = 1; i < this.currentData.length; i++) {
-      const change = this.currentData[i].close - this.currentData[i - 1].close;
-      gains.push(change > 0 ? change : 0);
-      losses.push(change < 0 ? Math.abs(change) : 0);
-    }
-
-    // Calculate RSI
-    for (let i = 0; i < this.currentData.length; i++) {
-      if (i < period) {
-        result.push({ time: this.currentData[i].time, value: null });
-      } else {
-        const avgGain = gains.slice(i - period + 1, i + 1).reduce((a, b) => a + b, 0) / period;
-        const avgLoss = losses.slice(i - period + 1, i + 1).reduce((a, b) => a + b, 0) / period;
-        const rs = avgGain / avgLoss;
-        const rsi = 100 - (100 / (1 + rs));
-        result.push({ time: this.currentData[i].time, value: rsi });
-      }
-    }
-
-    return result;
+    return this.calculateIndicator(Indicators.create('rsi', { period }));
   }
 
   // Calculate MACD
   calculateMACD(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
-    const fastEMA = this.calculateMovingAverage(fastPeriod, 'ema');
-    const slowEMA = this.calculateMovingAverage(slowPeriod, 'ema');
-    
-    const macdLine = fastEMA.map((fast, i) => ({
-      time: fast.time,
-      value: fast.value && slowEMA[i].value ? fast.value - slowEMA[i].value : null
-    }));
-
-    const signalLine = this.calculateMovingAverage(signalPeriod, 'ema', macdLine);
-    
-    const histogram = macdLine.map((macd, i) => ({
-      time: macd.time,
-      value: macd.value && signalLine[i].value ? macd.value - signalLine[i].value : null
-    }));
-
-    return { macd: macdLine, signal: signalLine, histogram };
+    return this.calculateIndicator(Indicators.create('macd', { fastPeriod, slowPeriod, signalPeriod }));
   }
 
   // Calculate Bollinger Bands
   calculateBollingerBands(period = 20, stdDev = 2) {
-    const sma = this.calculateMovingAverage(period, 'sma');
-    const upper = [];
-    const lower = [];
-
-    for (let i = 0; i < this.currentData.length; i++) {
-      if (i < period - 1) {
-        upper.push({ time: this.currentData[i].time, value: null });
-        lower.push({ time: this.currentData[i].time, value: null });
-      } else {
-        const slice = this.currentData.slice(i - period + 1, i + 1);
-        const mean = sma[i].value;
-        const variance = slice.reduce((acc, candle) => acc + Math.pow(candle.close - mean, 2), 0) / period;
-        const standardDeviation = Math.sqrt(variance);
-        
-        upper.push({ 
-          time: this.currentData[i].time, 
-          value: mean + (standardDeviation * stdDev) 
-        });
-        lower.push({ 
-          time: this.currentData[i].time, 
-          value: mean - (standardDeviation * stdDev) 
-        });
-      }
-    }
-
-    return { upper, middle: sma, lower };
+    return this.calculateIndicator(Indicators.create('bollinger', { period, stdDev }));
   }
 
   // Get random color for indicators
@@ -386,15 +699,67 @@ class ChartManager {
 
   // Destroy chart
   destroy() {
-    if (this.websocket) {
-      this.websocket.close();
-    }
+    this.closeStream();
+    Object.keys(this.panes).forEach(id => this.removePane(id));
     if (this.chart) {
       this.chart.remove();
     }
   }
 }
 
+ChartManager.CHART_OPTIONS = {
+  layout: {
+    backgroundColor: '#000000',
+    textColor: '#ffffff'
+  },
+  grid: {
+    vertLines: { color: '#333333' },
+    horLines: { color: '#333333' }
+  },
+  timeScale: {
+    timeVisible: true,
+    secondsVisible: false
+  },
+  crosshair: {
+    mode: LightweightCharts.CrosshairMode.Normal,
+  },
+  rightPriceScale: {
+    borderColor: '#333333',
+    // The same width on every pane keeps their bars lined up
+    minimumWidth: 80
+  },
+};
+
+ChartManager.DEFAULT_PANE_HEIGHT = 150;
+ChartManager.MIN_PANE_HEIGHT = 50;
+ChartManager.DIVIDER_HEIGHT = 4;
+ChartManager.EQUITY_PANE = 'equity';
+
+// Put a chart's crosshair on the bar another chart's crosshair is on (at its series' value there)
+ChartManager.moveCrosshair = function(view, param) {
+  const point = view.series && param.time !== undefined && param.logical !== undefined
+    ? view.series.dataByIndex(param.logical)
+    : null;
+  const price = point ? (point.value !== undefined ? point.value : point.close) : undefined;
+
+  if (price === undefined) {
+    view.chart.clearCrosshairPosition();
+  } else {
+    view.chart.setCrosshairPosition(price, param.time, view.series);
+  }
+};
+
+// One output of an indicator value ('value' for single-value indicators)
+ChartManager.getOutput = function(output, key) {
+  return output !== null && typeof output === 'object' ? output[key] : output;
+};
+
+// Chart point for a value (optionally coloured); bars without a value yet become whitespace
+ChartManager.toPoint = function(time, value, color) {
+  if (value === null || value === undefined) return { time };
+  return color ? { time, value, color } : { time, value };
+};
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ChartManager;
@@ -0,0 +1,493 @@
+// Data Providers - Sources of historical candles, live candle streams and symbol metadata
+//
+// Every provider returns candles as { time (seconds), open, high, low, close, volume },
+// oldest first, and streams live updates as (candle, { closed }) callbacks.
+//
+// HTTP requests go through DataProvider.fetchJSON, which retries network failures, server
+// errors and rate limits with exponential backoff (honouring Retry-After), pauses before a
+// request when the provider's used request weight nears its limit, and throws a
+// DataProviderError carrying a `code` the page can explain:
+//   NETWORK           the request did not reach the server (retried)
+//   SERVER_ERROR      HTTP 5xx (retried)
+//   RATE_LIMITED      HTTP 429 (retried after Retry-After unless that is longer than maxWait)
+//   BANNED            HTTP 418, the IP is blocked for `retryAfter` ms
+//   REQUEST_REJECTED  other HTTP 4xx, e.g. an unknown symbol (exchangeCode holds the exchange's code)
+//   INVALID_RESPONSE  the body is not the expected JSON
+
+if (typeof module !== 'undefined' && module.exports) {
+  var CandleIO = require('./candle-io.js');
+}
+
+// Error raised by a failed provider request; see the codes above
+class DataProviderError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'DataProviderError';
+    this.code = options.code || 'REQUEST_REJECTED';
+    this.status = options.status || null;
+    this.exchangeCode = options.exchangeCode === undefined ? null : options.exchangeCode;
+    // Milliseconds the server asked us to wait before the next request
+    this.retryAfter = options.retryAfter || null;
+    this.retryable = Boolean(options.retryable);
+  }
+}
+
+var DataProvider = class DataProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'provider';
+    this.intervals = options.intervals || ['1m'];
+    // Whether fetched history is worth keeping in the local candle cache
+    this.cacheable = options.cacheable || false;
+    this.retry = { ...DataProvider.DEFAULT_RETRY, ...options.retry };
+    // Request weight budget: { header, limit, windowMs, threshold } (null when the provider has none)
+    this.rateLimit = options.rateLimit || null;
+    this.usedWeight = 0;
+    this.weightWindow = null;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+  }
+
+  // GET a JSON document with retries, rate-limit pauses and typed errors
+  async fetchJSON(url) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit();
+
+      let error;
+      try {
+        const res = await this.fetch(url);
+        this.updateRateLimit(res);
+        const body = await DataProvider.readBody(res);
+        if (res.ok) {
+          if (typeof body === 'string') {
+            throw new DataProviderError(`${this.name} returned an invalid response`, { code: 'INVALID_RESPONSE', status: res.status });
+          }
+          return body;
+        }
+        error = this.createHttpError(res, body);
+      } catch (caught) {
+        error = caught instanceof DataProviderError
+          ? caught
+          : new DataProviderError(`Cannot reach ${this.name}: ${caught.message}`, { code: 'NETWORK', retryable: true });
+      }
+
+      if (!error.retryable || attempt >= this.retry.retries) {
+        throw error;
+      }
+      const delay = error.retryAfter || Math.min(this.retry.maxDelay, this.retry.initialDelay * Math.pow(2, attempt));
+      console.warn(`${error.message}; retrying in ${delay} ms (${attempt + 1}/${this.retry.retries})`);
+      await DataProvider.sleep(delay);
+    }
+  }
+
+  // Typed error for an HTTP error response; exchanges put their reason in msg or error
+  createHttpError(res, body) {
+    const reason = body && typeof body === 'object' ? body.msg || body.error : null;
+    const retryAfter = DataProvider.parseRetryAfter(res.headers.get('Retry-After'));
+    const details = { status: res.status, exchangeCode: body && typeof body === 'object' ? body.code : undefined, retryAfter };
+
+    if (res.status === 429) {
+      const wait = retryAfter ? `; retry after ${Math.ceil(retryAfter / 1000)} s` : '';
+      return new DataProviderError(`${this.name} rate limit reached (HTTP 429)${wait}`, {
+        ...details,
+        code: 'RATE_LIMITED',
+        retryable: !retryAfter || retryAfter <= this.retry.maxWait
+      });
+    }
+    if (res.status === 418) {
+      return new DataProviderError(`${this.name} has blocked this IP for exceeding rate limits (HTTP 418)`
+        + (retryAfter ? `; blocked for ${Math.ceil(retryAfter / 1000)} s` : ''), { ...details, code: 'BANNED' });
+    }
+    if (res.status >= 500) {
+      return new DataProviderError(`${this.name} server error (HTTP ${res.status})${reason ? `: ${reason}` : ''}`, { ...details, code: 'SERVER_ERROR', retryable: true });
+    }
+    return new DataProviderError(`${this.name} rejected the request (HTTP ${res.status})${reason ? `: ${reason}` : ''}`, { ...details, code: 'REQUEST_REJECTED' });
+  }
+
+  // Remember the weight the server reports as used in the current window
+  updateRateLimit(res) {
+    if (!this.rateLimit) return;
+    const used = parseInt(res.headers.get(this.rateLimit.header), 10);
+    if (!Number.isNaN(used)) {
+      this.usedWeight = used;
+      this.weightWindow = Math.floor(Date.now() / this.rateLimit.windowMs);
+    }
+  }
+
+  // Wait for the next weight window when the current one is nearly used up
+  async waitForRateLimit() {
+    if (!this.rateLimit || this.weightWindow !== Math.floor(Date.now() / this.rateLimit.windowMs)) return;
+    if (this.usedWeight < this.rateLimit.limit * this.rateLimit.threshold) return;
+
+    const delay = (this.weightWindow + 1) * this.rateLimit.windowMs - Date.now();
+    console.warn(`${this.name} request weight ${this.usedWeight}/${this.rateLimit.limit}; waiting ${delay} ms for the next window`);
+    await DataProvider.sleep(delay);
+  }
+
+  // Fetch up to `limit` candles ending before options.endTime (ms, defaults to now): the newest
+  // ones, or with options.startTime (ms) the oldest ones from that time onwards
+  async fetchHistory(symbol, interval, limit, options = {}) {
+    throw new Error(`${this.name} does not provide historical data`);
+  }
+
+  // Stream live candles; returns a subscription with close()
+  // handlers: onOpen(), onError(error), onClose() for the underlying connection
+  subscribe(symbol, interval, onCandle, handlers = {}) {
+    throw new Error(`${this.name} does not provide live data`);
+  }
+
+  // Intervals the provider serves natively for a symbol; others are resampled from these
+  getIntervals(symbol) {
+    return this.intervals;
+  }
+
+  // List the symbols this provider can serve
+  async getSymbols() {
+    return [];
+  }
+
+  // Metadata for one symbol: { symbol, baseAsset, quoteAsset, tickSize, pricePrecision }
+  async getSymbolInfo(symbol) {
+    const symbols = await this.getSymbols();
+    return symbols.find(info => info.symbol === symbol.toUpperCase()) || null;
+  }
+};
+
+// Subscription that is never connected, for providers without live data
+DataProvider.NO_SUBSCRIPTION = { close() {} };
+
+DataProvider.DEFAULT_RETRY = {
+  retries: 3,           // attempts after the first
+  initialDelay: 500,    // ms, doubled on each attempt
+  maxDelay: 8000,
+  maxWait: 60000        // longest Retry-After worth waiting for
+};
+
+// Response body as JSON when it parses, otherwise as text
+DataProvider.readBody = async function(res) {
+  const text = await res.text();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+// Retry-After is either seconds or an HTTP date; returns milliseconds or null
+DataProvider.parseRetryAfter = function(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+DataProvider.sleep = function(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+};
+
+// Binance spot REST and WebSocket API
+class BinanceDataProvider extends DataProvider {
+  constructor(options = {}) {
+    super({ name: 'Binance', cacheable: true, intervals: BinanceDataProvider.INTERVALS, rateLimit: BinanceDataProvider.RATE_LIMIT, ...options });
+    this.restUrl = options.restUrl || 'https://api.binance.com/api/v3';
+    this.streamUrl = options.streamUrl || 'wss://stream.binance.com:9443/ws';
+    this.batchSize = options.batchSize || 1000; // Binance's max per request
+    this.WebSocket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+  }
+
+  // Page backwards from endTime in batches until `limit` candles are loaded, or forwards
+  // from options.startTime
+  async fetchHistory(symbol, interval, limit, options = {}) {
+    if (options.startTime) {
+      return this.fetchHistoryFrom(symbol, interval, limit, options);
+    }
+
+    let allCandles = [];
+    let endTime = options.endTime || Date.now();
+    const loops = Math.ceil(limit / this.batchSize);
+
+    console.log(`Fetching up to ${limit} candles for ${symbol}...`);
+
+    // A failed batch throws (after retries) rather than returning a silently truncated history
+    for (let i = 0; i < loops; i++) {
+      const url = `${this.restUrl}/klines?symbol=${symbol.toUpperCase()}&interval=${interval}&limit=${this.batchSize}&endTime=${endTime}`;
+      const raw = await this.fetchJSON(url);
+
+      if (!Array.isArray(raw)) {
+        throw new DataProviderError(`${this.name} returned an invalid klines response`, { code: 'INVALID_RESPONSE' });
+      }
+      if (!raw.length) break;
+
+      const candles = raw.map(BinanceDataProvider.parseKline);
+
+      allCandles = [...candles, ...allCandles];
+      endTime = raw[0][0] - 1;
+
+      console.log(`Fetched ${candles.length} candles, total: ${allCandles.length}`);
+
+      if (candles.length < this.batchSize) break;
+    }
+
+    console.log(`Total candles fetched: ${allCandles.length}`);
+    return allCandles.slice(-limit);
+  }
+
+  // The first `limit` candles from options.startTime (before options.endTime when given)
+  async fetchHistoryFrom(symbol, interval, limit, options) {
+    let allCandles = [];
+    let startTime = options.startTime;
+
+    while (allCandles.length < limit) {
+      const batch = Math.min(this.batchSize, limit - allCandles.length);
+      const url = `${this.restUrl}/klines?symbol=${symbol.toUpperCase()}&interval=${interval}&limit=${batch}&startTime=${startTime}`
+        + (options.endTime ? `&endTime=${options.endTime - 1}` : '');
+      const raw = await this.fetchJSON(url);
+
+      if (!Array.isArray(raw)) {
+        throw new DataProviderError(`${this.name} returned an invalid klines response`, { code: 'INVALID_RESPONSE' });
+      }
+      if (!raw.length) break;
+
+      allCandles = [...allCandles, ...raw.map(BinanceDataProvider.parseKline)];
+      startTime = raw[raw.length - 1][0] + 1;
+
+      if (raw.length < batch) break;
+    }
+
+    console.log(`Fetched ${allCandles.length} candles for ${symbol} from ${new Date(options.startTime).toISOString()}`);
+    return allCandles;
+  }
+
+  // Kline stream; every message carries the current bar and whether it has closed
+  subscribe(symbol, interval, onCandle, handlers = {}) {
+    const socket = new this.WebSocket(`${this.streamUrl}/${symbol.toLowerCase()}@kline_${interval}`);
+
+    socket.onmessage = (event) => {
+      const k = JSON.parse(event.data).k;
+      onCandle({
+        time: k.t / 1000,
+        open: parseFloat(k.o),
+        high: parseFloat(k.h),
+        low: parseFloat(k.l),
+        close: parseFloat(k.c),
+        volume: parseFloat(k.v)
+      }, { closed: k.x });
+    };
+
+    socket.onopen = () => {
+      if (handlers.onOpen) handlers.onOpen();
+    };
+
+    socket.onerror = (error) => {
+      console.error('WebSocket error:', error);
+      if (handlers.onError) handlers.onError(error);
+    };
+
+    socket.onclose = () => {
+      console.log('WebSocket connection closed');
+      if (handlers.onClose) handlers.onClose();
+    };
+
+    return { socket, close: () => socket.close() };
+  }
+
+  async getSymbols() {
+    const info = await this.fetchJSON(`${this.restUrl}/exchangeInfo`);
+    return info.symbols
+      .filter(symbol => symbol.status === 'TRADING')
+      .map(BinanceDataProvider.parseSymbol);
+  }
+
+  async getSymbolInfo(symbol) {
+    const info = await this.fetchJSON(`${this.restUrl}/exchangeInfo?symbol=${symbol.toUpperCase()}`);
+    return info.symbols && info.symbols.length > 0 ? BinanceDataProvider.parseSymbol(info.symbols[0]) : null;
+  }
+}
+
+BinanceDataProvider.INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w'];
+
+// Spot request weight per IP and minute, as reported in every response
+BinanceDataProvider.RATE_LIMIT = { header: 'X-MBX-USED-WEIGHT-1M', limit: 6000, windowMs: 60000, threshold: 0.9 };
+
+// Binance kline array: [openTime, open, high, low, close, volume, closeTime, ...]
+BinanceDataProvider.parseKline = function(d) {
+  return {
+    time: d[0] / 1000,
+    open: parseFloat(d[1]),
+    high: parseFloat(d[2]),
+    low: parseFloat(d[3]),
+    close: parseFloat(d[4]),
+    volume: parseFloat(d[5])
+  };
+};
+
+BinanceDataProvider.parseSymbol = function(symbol) {
+  const priceFilter = (symbol.filters || []).find(filter => filter.filterType === 'PRICE_FILTER');
+  return {
+    symbol: symbol.symbol,
+    baseAsset: symbol.baseAsset,
+    quoteAsset: symbol.quoteAsset,
+    tickSize: priceFilter ? parseFloat(priceFilter.tickSize) : null,
+    pricePrecision: symbol.quotePrecision
+  };
+};
+
+// Recorded candles from CSV or JSON, held in memory per symbol and interval
+class FileDataProvider extends DataProvider {
+  constructor(options = {}) {
+    super({ name: 'File', ...options });
+    this.datasets = {};
+    this.symbolInfo = {};
+
+    if (options.content) {
+      this.addDataset(options.symbol || 'FILE', options.interval || '1m', FileDataProvider.parse(options.content, options.format));
+    }
+  }
+
+  // Register candles for a symbol/interval (sorted oldest first)
+  addDataset(symbol, interval, candles, info = {}) {
+    const key = FileDataProvider.getKey(symbol, interval);
+    this.datasets[key] = candles.slice().sort((a, b) => a.time - b.time);
+    this.symbolInfo[symbol.toUpperCase()] = { symbol: symbol.toUpperCase(), baseAsset: null, quoteAsset: null, tickSize: null, pricePrecision: null, ...info };
+  }
+
+  // Load a CSV or JSON file from a URL (format taken from the extension unless given);
+  // throws a DataProviderError when the file cannot be fetched or parsed
+  async load(url, symbol, interval, format) {
+    let text;
+    try {
+      const res = await this.fetch(url);
+      if (!res.ok) {
+        throw new DataProviderError(`Failed to load ${url}: HTTP ${res.status}`, {
+          code: res.status >= 500 ? 'SERVER_ERROR' : 'REQUEST_REJECTED',
+          status: res.status,
+          retryable: res.status >= 500
+        });
+      }
+      text = await res.text();
+    } catch (error) {
+      throw error instanceof DataProviderError
+        ? error
+        : new DataProviderError(`Cannot load ${url}: ${error.message}`, { code: 'NETWORK', retryable: true });
+    }
+
+    let candles;
+    try {
+      candles = FileDataProvider.parse(text, format || (url.toLowerCase().endsWith('.csv') ? 'csv' : 'json'));
+    } catch (error) {
+      throw new DataProviderError(`Invalid data in ${url}: ${error.message}`, { code: 'INVALID_RESPONSE' });
+    }
+    this.addDataset(symbol, interval, candles);
+  }
+
+  async fetchHistory(symbol, interval, limit, options = {}) {
+    const candles = this.datasets[FileDataProvider.getKey(symbol, interval)];
+    if (!candles) {
+      throw new Error(`No recorded data for ${symbol.toUpperCase()} ${interval}`);
+    }
+    const startTime = options.startTime ? options.startTime / 1000 : -Infinity;
+    const endTime = options.endTime ? options.endTime / 1000 : Infinity;
+    const selected = candles.filter(candle => candle.time >= startTime && candle.time < endTime);
+    return options.startTime ? selected.slice(0, limit) : selected.slice(-limit);
+  }
+
+  // Intervals recorded for the symbol
+  getIntervals(symbol) {
+    const prefix = FileDataProvider.getKey(symbol, '');
+    return Object.keys(this.datasets)
+      .filter(key => key.startsWith(prefix))
+      .map(key => key.slice(prefix.length));
+  }
+
+  // Recorded data has no live updates
+  subscribe(symbol, interval, onCandle, handlers = {}) {
+    return DataProvider.NO_SUBSCRIPTION;
+  }
+
+  async getSymbols() {
+    return Object.values(this.symbolInfo);
+  }
+}
+
+FileDataProvider.getKey = function(symbol, interval) {
+  return `${symbol.toUpperCase()}:${interval}`;
+};
+
+// Parse CSV or JSON candles (see CandleIO for the accepted layouts)
+FileDataProvider.parse = function(content, format) {
+  return new CandleIO().parse(content, { format }).candles;
+};
+
+// The local mock market server (mock-market-server.js): REST history plus a WebSocket stream
+class LocalServerDataProvider extends DataProvider {
+  constructor(options = {}) {
+    super({ name: 'Local server', ...options });
+    this.url = (options.url || 'http://localhost:8765').replace(/\/$/, '');
+    this.WebSocket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+  }
+
+  async fetchHistory(symbol, interval, limit, options = {}) {
+    const query = `symbol=${symbol.toUpperCase()}&interval=${interval}&limit=${limit}`
+      + (options.startTime ? `&startTime=${options.startTime}` : '')
+      + (options.endTime ? `&endTime=${options.endTime}` : '');
+    return this.request(`/history?${query}`);
+  }
+
+  subscribe(symbol, interval, onCandle, handlers = {}) {
+    const socket = new this.WebSocket(`${this.url.replace(/^http/, 'ws')}/stream?symbol=${symbol.toUpperCase()}&interval=${interval}`);
+
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      onCandle(message.candle, { closed: message.closed });
+    };
+
+    socket.onopen = () => {
+      if (handlers.onOpen) handlers.onOpen();
+    };
+
+    socket.onerror = (error) => {
+      console.error('WebSocket error:', error);
+      if (handlers.onError) handlers.onError(error);
+    };
+
+    socket.onclose = () => {
+      console.log('WebSocket connection closed');
+      if (handlers.onClose) handlers.onClose();
+    };
+
+    return { socket, close: () => socket.close() };
+  }
+
+  async getSymbols() {
+    return this.request('/symbols');
+  }
+
+  async request(path) {
+    return this.fetchJSON(`${this.url}${path}`);
+  }
+}
+
+// Create a provider from a short name, as used by the page's provider selector
+function createDataProvider(type, options = {}) {
+  switch (type) {
+    case 'binance':
+      return new BinanceDataProvider(options);
+    case 'file':
+      return new FileDataProvider(options);
+    case 'local':
+      return new LocalServerDataProvider(options);
+    default:
+      throw new Error(`Unknown data provider: ${type}`);
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DataProviderError,
+    DataProvider,
+    BinanceDataProvider,
+    FileDataProvider,
+    LocalServerDataProvider,
+    createDataProvider
+  };
+}
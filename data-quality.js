@@ -0,0 +1,91 @@
+// Data Quality - Checks candles for missing intervals, duplicate timestamps and zero-volume
+// bars, and repairs them before a backtest
+//
+// Duplicates are always dropped (the last one wins). Gaps are either only flagged in the
+// report, or forward-filled with flat bars at the previous close and zero volume, marked
+// `filled: true`. Zero-volume bars are flagged; only those without valid prices are ever
+// replaced, since a bar's real prices are worth more than a copy of the last close. A series
+// without any volume (e.g. a CSV file with no volume column) has no zero-volume bars to flag.
+
+if (typeof module !== 'undefined' && module.exports) {
+  var CandleIO = require('./candle-io.js');
+}
+
+class DataQuality {
+  constructor() {
+    this.candleIO = new CandleIO();
+  }
+
+  // Report on candles at the given interval (detected from the spacing when omitted):
+  // CandleIO's validation report (count, gaps, missingBars, duplicates, outOfOrder, ...)
+  // plus whether the series has volume, the times of zero-volume bars, the number of filled
+  // bars and whether anything needs attention
+  check(candles, interval) {
+    const { candles: sorted, report } = this.candleIO.validate(candles, interval);
+    const hasVolume = DataQuality.hasVolume(sorted);
+    const zeroVolume = hasVolume ? sorted.filter(candle => !candle.filled && !(candle.volume > 0)).map(candle => candle.time) : [];
+
+    return {
+      ...report,
+      hasVolume,
+      zeroVolume,
+      filled: sorted.filter(candle => candle.filled).length,
+      clean: report.duplicates.length === 0 && report.outOfOrder === 0 && report.gaps.length === 0 && zeroVolume.length === 0
+    };
+  }
+
+  // Sorted, de-duplicated candles, with gaps (options.fillGaps) and zero-volume bars without
+  // valid prices (options.fillZeroVolume) forward-filled; options.interval as for check
+  repair(candles, options = {}) {
+    const { candles: sorted, report } = this.candleIO.validate(candles, options.interval);
+    const seconds = report.intervalSeconds;
+    const fillZeroVolume = options.fillZeroVolume && DataQuality.hasVolume(sorted);
+    const repaired = [];
+    let filledGaps = 0;
+    let filledZeroVolume = 0;
+
+    sorted.forEach(candle => {
+      const previous = repaired[repaired.length - 1];
+      if (!previous) {
+        repaired.push(candle);
+        return;
+      }
+
+      if (options.fillGaps && seconds) {
+        for (let time = previous.time + seconds; time < candle.time; time += seconds) {
+          repaired.push(DataQuality.createFilledBar(time, previous.close));
+          filledGaps++;
+        }
+      }
+
+      if (fillZeroVolume && !(candle.volume > 0) && CandleIO.getInvalidReason(candle) !== null) {
+        repaired.push(DataQuality.createFilledBar(candle.time, repaired[repaired.length - 1].close));
+        filledZeroVolume++;
+      } else {
+        repaired.push(candle);
+      }
+    });
+
+    return {
+      candles: repaired,
+      removedDuplicates: report.duplicates.length,
+      filledGaps,
+      filledZeroVolume
+    };
+  }
+}
+
+// Whether any bar has volume; without it, zero volume says nothing about a bar
+DataQuality.hasVolume = function(candles) {
+  return candles.some(candle => !candle.filled && candle.volume > 0);
+};
+
+// Flat bar carrying the previous close forward
+DataQuality.createFilledBar = function(time, close) {
+  return { time, open: close, high: close, low: close, close, volume: 0, filled: true };
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataQuality;
+}
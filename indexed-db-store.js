@@ -0,0 +1,45 @@
+// IndexedDB Store - One object store of entries keyed by `key`, in a database opened on first
+// use, with requests turned into promises. Used by the candle cache and the strategy library
+
+var IndexedDBStore = class IndexedDBStore {
+  constructor(databaseName, storeName, options = {}) {
+    this.databaseName = databaseName;
+    this.storeName = storeName;
+    this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this.database = null;
+  }
+
+  // IndexedDB is missing in Node and in some private browsing modes
+  isAvailable() {
+    return Boolean(this.indexedDB);
+  }
+
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+
+  // Run one request against the store and resolve with its result
+  async request(mode, operation) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = operation(database.transaction(this.storeName, mode).objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IndexedDBStore;
+}
@@ -0,0 +1,1117 @@
+// Indicators - Stateful technical indicators shared by the backtester and the chart
+//
+// Every indicator is fed one bar at a time with update(input, replaceLast). A new bar costs
+// O(1) (O(period) for highest/lowest and mean-deviation windows); passing replaceLast = true
+// revises the newest bar instead (a live tick of a bar that has not closed yet) without
+// recalculating the history. Inputs are candles, or plain numbers for indicators of another
+// series (e.g. the MACD signal line). Values are null until warmed up.
+
+if (typeof module !== 'undefined' && module.exports) {
+  var CandleResampler = require('./candle-resampler.js');
+}
+
+// Fixed-size window with a running sum (and sum of squares) for rolling statistics
+class RollingWindow {
+  constructor(size) {
+    this.size = size;
+    this.values = new Array(size);
+    this.count = 0;        // values currently in the window
+    this.next = 0;         // ring position of the next value
+    this.sum = 0;
+    this.sumSquares = 0;
+  }
+
+  push(value) {
+    if (this.count === this.size) {
+      const old = this.values[this.next];
+      this.sum -= old;
+      this.sumSquares -= old * old;
+    } else {
+      this.count++;
+    }
+    this.values[this.next] = value;
+    this.sum += value;
+    this.sumSquares += value * value;
+    this.next = (this.next + 1) % this.size;
+  }
+
+  // Push a value, or replace the newest one when revising a bar
+  add(value, replacing) {
+    if (replacing && this.count > 0) {
+      this.replaceLast(value);
+    } else {
+      this.push(value);
+    }
+  }
+
+  replaceLast(value) {
+    const last = (this.next - 1 + this.size) % this.size;
+    const old = this.values[last];
+    this.values[last] = value;
+    this.sum += value - old;
+    this.sumSquares += value * value - old * old;
+  }
+
+  isFull() {
+    return this.count === this.size;
+  }
+
+  mean() {
+    return this.sum / this.count;
+  }
+
+  // Population variance, clamped against rounding just below zero
+  variance() {
+    const mean = this.mean();
+    return Math.max(this.sumSquares / this.count - mean * mean, 0);
+  }
+
+  // Mean absolute deviation from the mean
+  meanDeviation() {
+    const mean = this.mean();
+    let sum = 0;
+    for (let i = 0; i < this.count; i++) {
+      sum += Math.abs(this.values[i] - mean);
+    }
+    return sum / this.count;
+  }
+
+  // Largest of the newest n values
+  max(n = this.count) {
+    let result = -Infinity;
+    for (let j = 1; j <= n; j++) {
+      result = Math.max(result, this.values[(this.next - j + this.size) % this.size]);
+    }
+    return result;
+  }
+
+  // Smallest of the newest n values
+  min(n = this.count) {
+    let result = Infinity;
+    for (let j = 1; j <= n; j++) {
+      result = Math.min(result, this.values[(this.next - j + this.size) % this.size]);
+    }
+    return result;
+  }
+}
+
+class Indicator {
+  constructor(options = {}) {
+    this.source = options.source || 'close';
+    this.value = null;
+    this.bars = 0;
+    this.previousBar = null;   // input of the bar before the newest one
+    this.lastBar = null;
+    this.state = {};
+    this.saved = {};
+  }
+
+  // Value of the input for this indicator (a number, or the candle's source field)
+  read(input) {
+    return typeof input === 'number' ? input : (input[this.source] || 0);
+  }
+
+  // Count a new bar unless this update revises the newest one; returns whether it does
+  advance(input, replaceLast) {
+    const replacing = replaceLast && this.bars > 0;
+    if (!replacing) {
+      this.bars++;
+      this.previousBar = this.lastBar;
+    }
+    this.lastBar = input;
+    return replacing;
+  }
+
+  // advance() for indicators that keep their running values in this.state: a new bar saves
+  // the state, a revised bar starts again from the saved copy
+  advanceState(input, replaceLast) {
+    const replacing = this.advance(input, replaceLast);
+    if (replacing) {
+      this.state = { ...this.saved };
+    } else {
+      this.saved = { ...this.state };
+    }
+    return replacing;
+  }
+
+  // Feed a dependent indicator at most one value per bar; feeding it again during the same
+  // bar revises its newest value
+  feed(child, input) {
+    const replacing = child.fedAt === this.bars;
+    child.fedAt = this.bars;
+    return child.update(input, replacing);
+  }
+}
+
+// Simple moving average
+class SMAIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.period = options.period || 20;
+    this.window = new RollingWindow(this.period);
+  }
+
+  update(input, replaceLast = false) {
+    const value = this.read(input);
+    if (replaceLast && this.window.count > 0) {
+      this.window.replaceLast(value);
+    } else {
+      this.window.push(value);
+    }
+    this.value = this.window.isFull() ? this.window.mean() : null;
+    return this.value;
+  }
+}
+
+// Exponential moving average, seeded with the simple average of the first `period` values
+class EMAIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.period = options.period || 20;
+    this.k = 2 / (this.period + 1);
+    this.count = 0;
+    this.seedSum = 0;
+    this.previous = null;   // EMA before the newest bar
+    this.lastInput = null;
+  }
+
+  update(input, replaceLast = false) {
+    const value = this.read(input);
+    if (replaceLast && this.count > 0) {
+      if (this.count <= this.period) this.seedSum -= this.lastInput;
+    } else {
+      this.count++;
+      this.previous = this.value;
+    }
+    this.lastInput = value;
+
+    if (this.count <= this.period) {
+      this.seedSum += value;
+      this.value = this.count === this.period ? this.seedSum / this.period : null;
+    } else {
+      this.value = value * this.k + this.previous * (1 - this.k);
+    }
+    return this.value;
+  }
+}
+
+// Wilder's moving average (RMA): an EMA with alpha 1 / period, as used by RSI, ATR and ADX
+class RMAIndicator extends EMAIndicator {
+  constructor(options = {}) {
+    super(options);
+    this.k = 1 / this.period;
+  }
+}
+
+// Relative Strength Index from the simple averages of gains and losses over `period` changes
+class RSIIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.period = options.period || 14;
+    this.gains = new RollingWindow(this.period);
+    this.losses = new RollingWindow(this.period);
+    this.previousClose = null;   // close before the newest bar
+    this.lastClose = null;
+  }
+
+  update(input, replaceLast = false) {
+    const value = this.read(input);
+    const replacing = replaceLast && this.lastClose !== null;
+    if (!replacing) {
+      this.previousClose = this.lastClose;
+    }
+    this.lastClose = value;
+
+    // The first bar has no change yet
+    if (this.previousClose === null) {
+      this.value = null;
+      return this.value;
+    }
+
+    const change = value - this.previousClose;
+    const gain = change > 0 ? change : 0;
+    const loss = change < 0 ? -change : 0;
+    if (replacing && this.gains.count > 0) {
+      this.gains.replaceLast(gain);
+      this.losses.replaceLast(loss);
+    } else {
+      this.gains.push(gain);
+      this.losses.push(loss);
+    }
+
+    if (!this.gains.isFull()) {
+      this.value = null;
+    } else if (this.losses.sum <= 0) {
+      this.value = this.gains.sum <= 0 ? 50 : 100;
+    } else {
+      this.value = 100 - 100 / (1 + this.gains.sum / this.losses.sum);
+    }
+    return this.value;
+  }
+}
+
+// MACD line (fast EMA - slow EMA), its signal EMA and the histogram between them
+class MACDIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.fast = new EMAIndicator({ period: options.fastPeriod || 12, source: this.source });
+    this.slow = new EMAIndicator({ period: options.slowPeriod || 26, source: this.source });
+    this.signal = new EMAIndicator({ period: options.signalPeriod || 9 });
+    this.value = { macd: null, signal: null, histogram: null };
+  }
+
+  update(input, replaceLast = false) {
+    this.advance(input, replaceLast);
+    const fast = this.feed(this.fast, input);
+    const slow = this.feed(this.slow, input);
+    const macd = fast !== null && slow !== null ? fast - slow : null;
+
+    // The signal line starts with the first MACD value
+    const signal = macd !== null ? this.feed(this.signal, macd) : null;
+
+    this.value = {
+      macd,
+      signal,
+      histogram: macd !== null && signal !== null ? macd - signal : null
+    };
+    return this.value;
+  }
+}
+
+// Bollinger Bands: simple average +/- a multiple of the population standard deviation
+class BollingerIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.period = options.period || 20;
+    this.stdDev = options.stdDev || 2;
+    this.window = new RollingWindow(this.period);
+    this.value = { upper: null, middle: null, lower: null };
+  }
+
+  update(input, replaceLast = false) {
+    const value = this.read(input);
+    if (replaceLast && this.window.count > 0) {
+      this.window.replaceLast(value);
+    } else {
+      this.window.push(value);
+    }
+
+    if (!this.window.isFull()) {
+      this.value = { upper: null, middle: null, lower: null };
+    } else {
+      const middle = this.window.mean();
+      const width = Math.sqrt(this.window.variance()) * this.stdDev;
+      this.value = { upper: middle + width, middle, lower: middle - width };
+    }
+    return this.value;
+  }
+}
+
+// Average True Range with Wilder smoothing, seeded by the simple average of the first period
+class ATRIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.period = options.period || 14;
+    this.count = 0;
+    this.seedSum = 0;
+    this.previous = null;        // ATR before the newest bar
+    this.previousClose = null;   // close before the newest bar
+    this.last = null;            // newest bar's close and true range
+  }
+
+  update(candle, replaceLast = false) {
+    const replacing = replaceLast && this.last !== null;
+    if (replacing) {
+      if (this.count <= this.period) this.seedSum -= this.last.trueRange;
+    } else {
+      this.count++;
+      this.previous = this.value;
+      this.previousClose = this.last ? this.last.close : null;
+    }
+
+    const prevClose = this.previousClose === null ? candle.close : this.previousClose;
+    const trueRange = Math.max(
+      candle.high - candle.low,
+      Math.abs(candle.high - prevClose),
+      Math.abs(candle.low - prevClose)
+    );
+    this.last = { close: candle.close, trueRange };
+
+    if (this.count <= this.period) {
+      this.seedSum += trueRange;
+      this.value = this.count === this.period ? this.seedSum / this.period : null;
+    } else {
+      this.value = (this.previous * (this.period - 1) + trueRange) / this.period;
+    }
+    return this.value;
+  }
+}
+
+// Stochastic oscillator: %K is where the close sits in the high-low range of kPeriod bars,
+// smoothed over `smooth` bars; %D is its simple average over dPeriod bars. Numeric inputs
+// (e.g. RSI values for Stochastic RSI) serve as high, low and close at once
+class StochasticIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.kPeriod = options.kPeriod || 14;
+    this.highs = new RollingWindow(this.kPeriod);
+    this.lows = new RollingWindow(this.kPeriod);
+    this.kAverage = new SMAIndicator({ period: options.smooth || 3 });
+    this.dAverage = new SMAIndicator({ period: options.dPeriod || 3 });
+    this.value = { k: null, d: null };
+  }
+
+  update(input, replaceLast = false) {
+    const replacing = this.advance(input, replaceLast);
+    const bar = typeof input === 'number' ? { high: input, low: input, close: input } : input;
+    this.highs.add(bar.high, replacing);
+    this.lows.add(bar.low, replacing);
+
+    if (!this.highs.isFull()) {
+      this.value = { k: null, d: null };
+      return this.value;
+    }
+
+    const highest = this.highs.max();
+    const lowest = this.lows.min();
+    const raw = highest === lowest ? 50 : 100 * (bar.close - lowest) / (highest - lowest);
+    const k = this.feed(this.kAverage, raw);
+    const d = k !== null ? this.feed(this.dAverage, k) : null;
+
+    this.value = { k, d };
+    return this.value;
+  }
+}
+
+// Stochastic RSI: the stochastic oscillator applied to RSI values
+class StochasticRSIIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.rsi = new RSIIndicator({ period: options.rsiPeriod || 14, source: this.source });
+    this.stochastic = new StochasticIndicator({
+      kPeriod: options.stochPeriod || 14,
+      smooth: options.kPeriod || 3,
+      dPeriod: options.dPeriod || 3
+    });
+    this.value = { k: null, d: null };
+  }
+
+  update(input, replaceLast = false) {
+    this.advance(input, replaceLast);
+    const rsi = this.feed(this.rsi, input);
+    this.value = rsi !== null ? this.feed(this.stochastic, rsi) : { k: null, d: null };
+    return this.value;
+  }
+}
+
+// Average Directional Index with the +DI / -DI lines (Wilder's DMI)
+class ADXIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.period = options.period || 14;
+    this.trueRange = new RMAIndicator({ period: this.period });
+    this.plusDM = new RMAIndicator({ period: this.period });
+    this.minusDM = new RMAIndicator({ period: this.period });
+    this.adx = new RMAIndicator({ period: this.period });
+    this.value = { adx: null, plusDI: null, minusDI: null };
+  }
+
+  update(candle, replaceLast = false) {
+    this.advance(candle, replaceLast);
+    const previous = this.previousBar;
+
+    // Directional movement starts with the second bar
+    if (!previous) {
+      this.value = { adx: null, plusDI: null, minusDI: null };
+      return this.value;
+    }
+
+    const up = candle.high - previous.high;
+    const down = previous.low - candle.low;
+    const trueRange = Math.max(
+      candle.high - candle.low,
+      Math.abs(candle.high - previous.close),
+      Math.abs(candle.low - previous.close)
+    );
+
+    const range = this.feed(this.trueRange, trueRange);
+    const plus = this.feed(this.plusDM, up > down && up > 0 ? up : 0);
+    const minus = this.feed(this.minusDM, down > up && down > 0 ? down : 0);
+    if (range === null) {
+      this.value = { adx: null, plusDI: null, minusDI: null };
+      return this.value;
+    }
+
+    const plusDI = range > 0 ? 100 * plus / range : 0;
+    const minusDI = range > 0 ? 100 * minus / range : 0;
+    const total = plusDI + minusDI;
+    const adx = this.feed(this.adx, total > 0 ? 100 * Math.abs(plusDI - minusDI) / total : 0);
+
+    this.value = { adx, plusDI, minusDI };
+    return this.value;
+  }
+}
+
+// Volume-weighted average typical price, restarting at each session (UTC day by default;
+// any interval such as '4h' or '1w' can anchor it)
+class VWAPIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.sessions = new CandleResampler(options.session || '1d');
+  }
+
+  update(candle, replaceLast = false) {
+    this.advanceState(candle, replaceLast);
+    const session = this.sessions.getBucket(candle.time);
+    if (this.state.session !== session) {
+      this.state = { session, priceVolume: 0, volume: 0 };
+    }
+
+    const typical = (candle.high + candle.low + candle.close) / 3;
+    const volume = candle.volume || 0;
+    this.state.priceVolume += typical * volume;
+    this.state.volume += volume;
+
+    this.value = this.state.volume > 0 ? this.state.priceVolume / this.state.volume : typical;
+    return this.value;
+  }
+}
+
+// On-Balance Volume: running total of volume, added on up closes and subtracted on down closes
+class OBVIndicator extends Indicator {
+  update(candle, replaceLast = false) {
+    this.advanceState(candle, replaceLast);
+    const previous = this.previousBar;
+    const obv = this.state.obv || 0;
+
+    if (!previous || candle.close === previous.close) {
+      this.state.obv = obv;
+    } else {
+      this.state.obv = obv + (candle.close > previous.close ? 1 : -1) * (candle.volume || 0);
+    }
+
+    this.value = this.state.obv;
+    return this.value;
+  }
+}
+
+// Commodity Channel Index: distance of the typical price from its average, in units of
+// 0.015 x mean deviation
+class CCIIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.period = options.period || 20;
+    this.window = new RollingWindow(this.period);
+  }
+
+  update(candle, replaceLast = false) {
+    const replacing = this.advance(candle, replaceLast);
+    const typical = (candle.high + candle.low + candle.close) / 3;
+    this.window.add(typical, replacing);
+
+    if (!this.window.isFull()) {
+      this.value = null;
+    } else {
+      const deviation = this.window.meanDeviation();
+      this.value = deviation > 0 ? (typical - this.window.mean()) / (0.015 * deviation) : 0;
+    }
+    return this.value;
+  }
+}
+
+// Williams %R: the close's position below the period's high, from 0 (at the high) to -100
+class WilliamsRIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.period = options.period || 14;
+    this.highs = new RollingWindow(this.period);
+    this.lows = new RollingWindow(this.period);
+  }
+
+  update(candle, replaceLast = false) {
+    const replacing = this.advance(candle, replaceLast);
+    this.highs.add(candle.high, replacing);
+    this.lows.add(candle.low, replacing);
+
+    if (!this.highs.isFull()) {
+      this.value = null;
+    } else {
+      const highest = this.highs.max();
+      const lowest = this.lows.min();
+      this.value = highest === lowest ? -50 : -100 * (highest - candle.close) / (highest - lowest);
+    }
+    return this.value;
+  }
+}
+
+// Ichimoku Kinko Hyo. The leading spans are reported at the bar they are plotted on (i.e.
+// computed `displacement` bars earlier), which is the cloud a strategy can see without
+// lookahead; the lagging span is left out for the same reason
+class IchimokuIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.conversionPeriod = options.conversionPeriod || 9;
+    this.basePeriod = options.basePeriod || 26;
+    this.spanBPeriod = options.spanBPeriod || 52;
+    this.displacement = options.displacement || 26;
+    const size = Math.max(this.conversionPeriod, this.basePeriod, this.spanBPeriod);
+    this.highs = new RollingWindow(size);
+    this.lows = new RollingWindow(size);
+    this.spans = [];   // leading spans of the newest displacement + 1 bars
+    this.value = { tenkan: null, kijun: null, senkouA: null, senkouB: null };
+  }
+
+  // Midpoint of the high-low range of the newest `period` bars
+  midpoint(period) {
+    return this.highs.count >= period ? (this.highs.max(period) + this.lows.min(period)) / 2 : null;
+  }
+
+  update(candle, replaceLast = false) {
+    const replacing = this.advance(candle, replaceLast);
+    this.highs.add(candle.high, replacing);
+    this.lows.add(candle.low, replacing);
+
+    const tenkan = this.midpoint(this.conversionPeriod);
+    const kijun = this.midpoint(this.basePeriod);
+    const span = {
+      a: tenkan !== null && kijun !== null ? (tenkan + kijun) / 2 : null,
+      b: this.midpoint(this.spanBPeriod)
+    };
+
+    if (replacing && this.spans.length > 0) {
+      this.spans[this.spans.length - 1] = span;
+    } else {
+      this.spans.push(span);
+      if (this.spans.length > this.displacement + 1) this.spans.shift();
+    }
+
+    const leading = this.spans.length > this.displacement ? this.spans[0] : { a: null, b: null };
+    this.value = { tenkan, kijun, senkouA: leading.a, senkouB: leading.b };
+    return this.value;
+  }
+}
+
+// Parabolic SAR: a stop that trails the trend and accelerates by `step` (up to maxStep)
+// each time the trend makes a new extreme
+class ParabolicSARIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.step = options.step || 0.02;
+    this.maxStep = options.maxStep || 0.2;
+  }
+
+  update(candle, replaceLast = false) {
+    this.advanceState(candle, replaceLast);
+    const s = this.state;
+
+    if (this.bars === 1) {
+      // The first bar only provides the starting range
+      this.value = null;
+    } else if (!s.trend) {
+      // The second bar sets the initial direction
+      s.trend = candle.close >= this.previousBar.close ? 1 : -1;
+      s.sar = s.trend === 1 ? Math.min(candle.low, s.low1) : Math.max(candle.high, s.high1);
+      s.ep = s.trend === 1 ? Math.max(candle.high, s.high1) : Math.min(candle.low, s.low1);
+      s.af = this.step;
+      this.value = s.sar;
+    } else {
+      let sar = s.sar + s.af * (s.ep - s.sar);
+      if (s.trend === 1) {
+        // The stop may not rise above the previous two lows
+        sar = Math.min(sar, s.low1, s.low2);
+        if (candle.low < sar) {
+          // Reverse: the new stop starts at the extreme of the finished trend
+          sar = s.ep;
+          Object.assign(s, { trend: -1, ep: candle.low, af: this.step });
+        } else if (candle.high > s.ep) {
+          s.ep = candle.high;
+          s.af = Math.min(s.af + this.step, this.maxStep);
+        }
+      } else {
+        sar = Math.max(sar, s.high1, s.high2);
+        if (candle.high > sar) {
+          sar = s.ep;
+          Object.assign(s, { trend: 1, ep: candle.high, af: this.step });
+        } else if (candle.low < s.ep) {
+          s.ep = candle.low;
+          s.af = Math.min(s.af + this.step, this.maxStep);
+        }
+      }
+      s.sar = sar;
+      this.value = sar;
+    }
+
+    s.high2 = s.high1 === undefined ? candle.high : s.high1;
+    s.low2 = s.low1 === undefined ? candle.low : s.low1;
+    s.high1 = candle.high;
+    s.low1 = candle.low;
+    return this.value;
+  }
+}
+
+// SuperTrend: an ATR band below the price in uptrends and above it in downtrends; the trend
+// flips when the close crosses the band. Reports the band and the direction (1 up, -1 down)
+class SuperTrendIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.multiplier = options.multiplier || 3;
+    this.atr = new ATRIndicator({ period: options.period || 10 });
+    this.value = { value: null, direction: null };
+  }
+
+  update(candle, replaceLast = false) {
+    this.advanceState(candle, replaceLast);
+    const s = this.state;
+    const atr = this.feed(this.atr, candle);
+
+    if (atr === null) {
+      this.value = { value: null, direction: null };
+    } else {
+      const middle = (candle.high + candle.low) / 2;
+      const basicUpper = middle + this.multiplier * atr;
+      const basicLower = middle - this.multiplier * atr;
+      const previousClose = this.previousBar ? this.previousBar.close : candle.close;
+
+      // The bands only tighten, unless the previous close broke through them
+      const upper = s.upper === undefined || basicUpper < s.upper || previousClose > s.upper ? basicUpper : s.upper;
+      const lower = s.lower === undefined || basicLower > s.lower || previousClose < s.lower ? basicLower : s.lower;
+
+      let direction = s.direction || 1;
+      if (direction === 1 && candle.close < lower) {
+        direction = -1;
+      } else if (direction === -1 && candle.close > upper) {
+        direction = 1;
+      }
+
+      Object.assign(s, { upper, lower, direction });
+      this.value = { value: direction === 1 ? lower : upper, direction };
+    }
+    return this.value;
+  }
+}
+
+// Keltner Channels: an EMA of the close +/- a multiple of the ATR
+class KeltnerIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.multiplier = options.multiplier || 2;
+    this.average = new EMAIndicator({ period: options.period || 20, source: this.source });
+    this.atr = new ATRIndicator({ period: options.atrPeriod || 10 });
+    this.value = { upper: null, middle: null, lower: null };
+  }
+
+  update(candle, replaceLast = false) {
+    this.advance(candle, replaceLast);
+    const middle = this.feed(this.average, candle);
+    const atr = this.feed(this.atr, candle);
+
+    this.value = middle !== null && atr !== null
+      ? { upper: middle + this.multiplier * atr, middle, lower: middle - this.multiplier * atr }
+      : { upper: null, middle: null, lower: null };
+    return this.value;
+  }
+}
+
+// Donchian Channels: the highest high and lowest low of the period, and their midpoint
+class DonchianIndicator extends Indicator {
+  constructor(options = {}) {
+    super(options);
+    this.period = options.period || 20;
+    this.highs = new RollingWindow(this.period);
+    this.lows = new RollingWindow(this.period);
+    this.value = { upper: null, middle: null, lower: null };
+  }
+
+  update(candle, replaceLast = false) {
+    const replacing = this.advance(candle, replaceLast);
+    this.highs.add(candle.high, replacing);
+    this.lows.add(candle.low, replacing);
+
+    if (!this.highs.isFull()) {
+      this.value = { upper: null, middle: null, lower: null };
+    } else {
+      const upper = this.highs.max();
+      const lower = this.lows.min();
+      this.value = { upper, middle: (upper + lower) / 2, lower };
+    }
+    return this.value;
+  }
+}
+
+// Adapter for indicators registered with only a batch calculate(candles, params) function:
+// every update recalculates the whole history, so live use costs O(n) per tick
+class CalculatedIndicator extends Indicator {
+  constructor(calculate, params, outputs) {
+    super(params);
+    this.calculate = calculate;
+    this.params = params;
+    this.outputs = outputs;
+    this.inputs = [];
+    this.value = Indicators.isSingleOutput(outputs) ? null : Indicators.emptyOutput(outputs);
+  }
+
+  update(input, replaceLast = false) {
+    if (this.advance(input, replaceLast)) {
+      this.inputs[this.inputs.length - 1] = input;
+    } else {
+      this.inputs.push(input);
+    }
+
+    const result = this.calculate(this.inputs, this.params);
+    const last = this.inputs.length - 1;
+    if (Indicators.isSingleOutput(this.outputs)) {
+      this.value = Indicators.orNull(result[last]);
+    } else {
+      this.value = {};
+      Object.keys(this.outputs).forEach(key => {
+        this.value[key] = Indicators.orNull(result[key][last]);
+      });
+    }
+    return this.value;
+  }
+}
+
+// Indicator registry. A registration describes everything the interpreter and the chart need:
+//
+//   Indicators.register('myBands', {
+//     params: { period: { default: 20, min: 2 }, width: 1.5 },  // defaults (plain or { default, min, max, step })
+//     outputs: ['upper', 'lower'],             // value names myBandsUpper / myBandsLower; or { upper: 'hiBand', ... }
+//     warmup: params => params.period - 1,     // bars before the first complete value
+//     create: params => new MyBandsIndicator(params),       // incremental: update(input, replaceLast)
+//     calculate: (candles, params) => ({ upper: [...], lower: [...] }),  // or batch: arrays aligned to candles
+//     plot: { overlay: true, outputs: { upper: { type: 'line', color: '#2196F3' } } }
+//     // non-overlay indicators get a pane of their own, optionally with reference lines: levels: [30, 70]
+//   });
+//
+// Single-output indicators omit `outputs`; their value is named after the indicator and their
+// calculate returns a plain array. Strategies then declare indicators: { myBands: { period: 30 } }.
+var Indicators = {
+  definitions: {},
+
+  register(name, definition) {
+    if (typeof definition.create !== 'function' && typeof definition.calculate !== 'function') {
+      throw new Error(`Indicator '${name}' needs a create or calculate function`);
+    }
+
+    let outputs = definition.outputs || { value: name };
+    if (Array.isArray(outputs)) {
+      outputs = Object.fromEntries(outputs.map(key => [key, name + key.charAt(0).toUpperCase() + key.slice(1)]));
+    }
+
+    this.definitions[name] = {
+      params: {},
+      warmup: null,
+      ...definition,
+      name,
+      outputs,
+      plot: { overlay: false, outputs: {}, ...definition.plot }
+    };
+    return this.definitions[name];
+  },
+
+  unregister(name) {
+    delete this.definitions[name];
+  },
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.definitions, name);
+  },
+
+  get(name) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown indicator: ${name}`);
+    }
+    return this.definitions[name];
+  },
+
+  // Declared defaults overridden by the given options (`true` means all defaults)
+  getParams(name, options = {}) {
+    const defaults = {};
+    Object.entries(this.get(name).params).forEach(([key, spec]) => {
+      defaults[key] = spec !== null && typeof spec === 'object' ? spec.default : spec;
+    });
+    return { ...defaults, ...(options === true ? {} : options) };
+  },
+
+  // Bars before the first complete value, or null when the registration does not say
+  getWarmup(name, options = {}) {
+    const warmup = this.get(name).warmup;
+    if (typeof warmup === 'function') return warmup(this.getParams(name, options));
+    return typeof warmup === 'number' ? warmup : null;
+  },
+
+  // New indicator instance by name
+  create(name, options = {}) {
+    const definition = this.get(name);
+    const params = this.getParams(name, options);
+    return definition.create
+      ? definition.create(params)
+      : new CalculatedIndicator(definition.calculate, params, definition.outputs);
+  },
+
+  // Run an indicator over a whole series; multi-value indicators return one array per
+  // output (e.g. { macd: [...], signal: [...], histogram: [...] })
+  calculate(name, inputs, options = {}) {
+    const definition = this.get(name);
+    const single = this.isSingleOutput(definition.outputs);
+
+    if (!definition.create) {
+      const result = definition.calculate(inputs, this.getParams(name, options));
+      if (single) return inputs.map((input, i) => this.orNull(result[i]));
+      const series = {};
+      Object.keys(definition.outputs).forEach(key => {
+        series[key] = inputs.map((input, i) => this.orNull(result[key][i]));
+      });
+      return series;
+    }
+
+    const indicator = this.create(name, options);
+    const outputs = inputs.map(input => indicator.update(input));
+    if (single) return outputs;
+
+    const series = {};
+    Object.keys(definition.outputs).forEach(key => {
+      series[key] = outputs.map(output => output[key]);
+    });
+    return series;
+  },
+
+  isSingleOutput(outputs) {
+    const keys = Object.keys(outputs);
+    return keys.length === 1 && keys[0] === 'value';
+  },
+
+  emptyOutput(outputs) {
+    return Object.fromEntries(Object.keys(outputs).map(key => [key, null]));
+  },
+
+  // Missing and NaN results count as not warmed up yet
+  orNull(value) {
+    return value === undefined || value === null || Number.isNaN(value) ? null : value;
+  }
+};
+
+// Built-in indicators. sma/ema/rsi/macd/bollinger are also declared in strategies in their
+// original forms (see StrategyInterpreter.calculateIndicators)
+Indicators.register('sma', {
+  params: { period: 20 },
+  warmup: params => params.period - 1,
+  create: params => new SMAIndicator(params),
+  plot: { overlay: true }
+});
+
+Indicators.register('ema', {
+  params: { period: 20 },
+  warmup: params => params.period - 1,
+  create: params => new EMAIndicator(params),
+  plot: { overlay: true }
+});
+
+Indicators.register('rma', {
+  params: { period: 14 },
+  warmup: params => params.period - 1,
+  create: params => new RMAIndicator(params),
+  plot: { overlay: true }
+});
+
+Indicators.register('rsi', {
+  params: { period: 14 },
+  warmup: params => params.period,
+  create: params => new RSIIndicator(params),
+  plot: { levels: [30, 70], outputs: { value: { type: 'line', color: '#FF9800' } } }
+});
+
+Indicators.register('macd', {
+  params: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+  outputs: { macd: 'macd', signal: 'macdSignal', histogram: 'macdHistogram' },
+  warmup: params => params.slowPeriod + params.signalPeriod - 2,
+  create: params => new MACDIndicator(params),
+  plot: {
+    levels: [0],
+    outputs: {
+      macd: { type: 'line', color: '#2196F3' },
+      signal: { type: 'line', color: '#FF5722' },
+      histogram: { type: 'histogram', color: '#4CAF50' }
+    }
+  }
+});
+
+Indicators.register('bollinger', {
+  params: { period: 20, stdDev: 2 },
+  outputs: { upper: 'bbUpper', middle: 'bbMiddle', lower: 'bbLower' },
+  warmup: params => params.period - 1,
+  create: params => new BollingerIndicator(params),
+  plot: {
+    overlay: true,
+    outputs: {
+      upper: { type: 'line', color: '#FF5722' },
+      middle: { type: 'line', color: '#9E9E9E' },
+      lower: { type: 'line', color: '#FF5722' }
+    }
+  }
+});
+
+Indicators.register('atr', {
+  params: { period: 14 },
+  warmup: params => params.period - 1,
+  create: params => new ATRIndicator(params),
+  plot: { outputs: { value: { type: 'line', color: '#FF9800' } } }
+});
+
+Indicators.register('stochastic', {
+  params: { kPeriod: 14, smooth: 3, dPeriod: 3 },
+  outputs: { k: 'stochK', d: 'stochD' },
+  warmup: params => params.kPeriod + params.smooth + params.dPeriod - 3,
+  create: params => new StochasticIndicator(params),
+  plot: { levels: [20, 80], outputs: { k: { type: 'line', color: '#2196F3' }, d: { type: 'line', color: '#FF5722' } } }
+});
+
+Indicators.register('stochRsi', {
+  params: { rsiPeriod: 14, stochPeriod: 14, kPeriod: 3, dPeriod: 3 },
+  outputs: { k: 'stochRsiK', d: 'stochRsiD' },
+  warmup: params => params.rsiPeriod + params.stochPeriod + params.kPeriod + params.dPeriod - 3,
+  create: params => new StochasticRSIIndicator(params),
+  plot: { levels: [20, 80], outputs: { k: { type: 'line', color: '#2196F3' }, d: { type: 'line', color: '#FF5722' } } }
+});
+
+Indicators.register('adx', {
+  params: { period: 14 },
+  outputs: { adx: 'adx', plusDI: 'plusDI', minusDI: 'minusDI' },
+  warmup: params => 2 * params.period - 1,
+  create: params => new ADXIndicator(params),
+  plot: {
+    levels: [25],
+    outputs: {
+      adx: { type: 'line', color: '#9C27B0', lineWidth: 2 },
+      plusDI: { type: 'line', color: '#4CAF50' },
+      minusDI: { type: 'line', color: '#F44336' }
+    }
+  }
+});
+
+Indicators.register('vwap', {
+  params: { session: '1d' },
+  warmup: 0,
+  create: params => new VWAPIndicator(params),
+  plot: { overlay: true, outputs: { value: { type: 'line', color: '#00BCD4', lineWidth: 2 } } }
+});
+
+Indicators.register('obv', {
+  warmup: 0,
+  create: params => new OBVIndicator(params),
+  plot: { outputs: { value: { type: 'line', color: '#9C27B0' } } }
+});
+
+Indicators.register('cci', {
+  params: { period: 20 },
+  warmup: params => params.period - 1,
+  create: params => new CCIIndicator(params),
+  plot: { levels: [-100, 100], outputs: { value: { type: 'line', color: '#00BCD4' } } }
+});
+
+Indicators.register('williamsR', {
+  params: { period: 14 },
+  warmup: params => params.period - 1,
+  create: params => new WilliamsRIndicator(params),
+  plot: { levels: [-80, -20], outputs: { value: { type: 'line', color: '#FF9800' } } }
+});
+
+Indicators.register('ichimoku', {
+  params: { conversionPeriod: 9, basePeriod: 26, spanBPeriod: 52, displacement: 26 },
+  outputs: { tenkan: 'ichimokuTenkan', kijun: 'ichimokuKijun', senkouA: 'ichimokuSenkouA', senkouB: 'ichimokuSenkouB' },
+  warmup: params => Math.max(params.conversionPeriod, params.basePeriod, params.spanBPeriod) - 1 + params.displacement,
+  create: params => new IchimokuIndicator(params),
+  plot: {
+    overlay: true,
+    outputs: {
+      tenkan: { type: 'line', color: '#2196F3' },
+      kijun: { type: 'line', color: '#F44336' },
+      senkouA: { type: 'line', color: '#4CAF50' },
+      senkouB: { type: 'line', color: '#FF5722' }
+    }
+  }
+});
+
+Indicators.register('psar', {
+  params: { step: 0.02, maxStep: 0.2 },
+  warmup: 1,
+  create: params => new ParabolicSARIndicator(params),
+  plot: {
+    overlay: true,
+    outputs: { value: { type: 'line', color: '#FFEB3B', lineVisible: false, pointMarkersVisible: true } }
+  }
+});
+
+Indicators.register('supertrend', {
+  params: { period: 10, multiplier: 3 },
+  outputs: { value: 'supertrend', direction: 'supertrendDirection' },
+  warmup: params => params.period - 1,
+  create: params => new SuperTrendIndicator(params),
+  plot: {
+    overlay: true,
+    outputs: {
+      // The direction is only used to colour the line
+      value: { type: 'line', color: '#4CAF50', lineWidth: 2, pointColor: output => output.direction === -1 ? '#F44336' : '#4CAF50' },
+      direction: null
+    }
+  }
+});
+
+Indicators.register('keltner', {
+  params: { period: 20, multiplier: 2, atrPeriod: 10 },
+  outputs: { upper: 'kcUpper', middle: 'kcMiddle', lower: 'kcLower' },
+  warmup: params => Math.max(params.period, params.atrPeriod) - 1,
+  create: params => new KeltnerIndicator(params),
+  plot: {
+    overlay: true,
+    outputs: {
+      upper: { type: 'line', color: '#00BCD4' },
+      middle: { type: 'line', color: '#9E9E9E' },
+      lower: { type: 'line', color: '#00BCD4' }
+    }
+  }
+});
+
+Indicators.register('donchian', {
+  params: { period: 20 },
+  outputs: { upper: 'dcUpper', middle: 'dcMiddle', lower: 'dcLower' },
+  warmup: params => params.period - 1,
+  create: params => new DonchianIndicator(params),
+  plot: {
+    overlay: true,
+    outputs: {
+      upper: { type: 'line', color: '#2196F3' },
+      middle: { type: 'line', color: '#9E9E9E' },
+      lower: { type: 'line', color: '#2196F3' }
+    }
+  }
+});
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Indicators,
+    Indicator,
+    CalculatedIndicator,
+    RollingWindow,
+    SMAIndicator,
+    EMAIndicator,
+    RMAIndicator,
+    RSIIndicator,
+    MACDIndicator,
+    BollingerIndicator,
+    ATRIndicator,
+    StochasticIndicator,
+    StochasticRSIIndicator,
+    ADXIndicator,
+    VWAPIndicator,
+    OBVIndicator,
+    CCIIndicator,
+    WilliamsRIndicator,
+    IchimokuIndicator,
+    ParabolicSARIndicator,
+    SuperTrendIndicator,
+    KeltnerIndicator,
+    DonchianIndicator
+  };
+}
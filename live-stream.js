@@ -0,0 +1,264 @@
+// Live Stream - Keeps a provider's live candle stream running: reconnects with exponential
+// backoff, treats a stream that has gone silent for heartbeatTimeout ms as dead, and after
+// every reconnect, or when a socket update skips bars, backfills the missed bars from the
+// provider's history
+//
+// Candles are passed on as (candle, { closed, backfill }) in time order; socket updates that
+// arrive while a backfill is loading are held back until it is done.
+//
+// Status events (options.onStatus) are { status, symbol, interval, attempt, ... }:
+//   connecting    opening the socket; attempt counts the reconnects since the last good stream
+//   connected     the socket is open (after a backfill: backfilled bars, unrecovered bars, error)
+//   backfilling   loading the bars since `since` (seconds)
+//   stale         no message for `timeout` ms; the socket is dropped and reopened
+//   reconnecting  waiting `delay` ms before the next attempt (error: why the last one ended)
+//   unavailable   the provider has no live data
+//   closed        stopped by close()
+
+if (typeof module !== 'undefined' && module.exports) {
+  var CandleIO = require('./candle-io.js');
+  var { DataProvider } = require('./data-providers.js');
+}
+
+class LiveStream {
+  constructor(provider, symbol, interval, options = {}) {
+    this.provider = provider;
+    this.symbol = symbol;
+    this.interval = interval;
+    this.seconds = CandleIO.intervalToSeconds(interval);
+    this.options = { ...LiveStream.DEFAULT_OPTIONS, ...options };
+    this.onCandle = options.onCandle || (() => {});
+    this.onStatus = options.onStatus || (() => {});
+    // Time of the newest candle passed on; backfills start from it
+    this.lastTime = options.lastTime || null;
+    this.closedTime = null;
+    // Newest backfilled bar when it was passed on as still forming; see deliver
+    this.unconfirmed = null;
+    this.status = 'idle';
+    this.attempt = 0;
+    this.connected = false;
+    this.connection = null;
+    this.lastError = null;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.backfilling = false;
+    this.buffered = [];
+    this.stopped = false;
+  }
+
+  start() {
+    this.stopped = false;
+    this.connect();
+    return this;
+  }
+
+  // Stop for good; no reconnect follows
+  close() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.heartbeatTimer);
+    this.disconnect();
+    this.setStatus('closed');
+  }
+
+  // Open a new socket; handlers of earlier sockets are ignored from here on
+  connect() {
+    const connection = { subscription: null, received: false };
+    this.connection = connection;
+    this.backfilling = false;
+    this.buffered = [];
+    this.unconfirmed = null;
+    this.setStatus('connecting');
+
+    try {
+      connection.subscription = this.provider.subscribe(this.symbol, this.interval, (candle, status) => this.handleCandle(connection, candle, status), {
+        onOpen: () => this.handleOpen(connection),
+        onError: error => this.handleError(connection, error),
+        onClose: () => this.handleClose(connection)
+      });
+    } catch (error) {
+      this.handleError(connection, error);
+      this.handleClose(connection);
+      return;
+    }
+
+    if (connection.subscription === DataProvider.NO_SUBSCRIPTION) {
+      this.connection = null;
+      this.setStatus('unavailable');
+      return;
+    }
+
+    // Also catches a socket that never opens
+    this.resetHeartbeat(connection);
+  }
+
+  disconnect() {
+    const connection = this.connection;
+    this.connection = null;
+    if (connection && connection.subscription) {
+      connection.subscription.close();
+    }
+  }
+
+  handleOpen(connection) {
+    if (connection !== this.connection) return;
+    this.resetHeartbeat(connection);
+
+    // Bars may have been missed since the last socket, or since the history was loaded
+    if (this.lastTime !== null && (this.connected || this.attempt > 0)) {
+      this.backfill(connection);
+    } else {
+      this.setStatus('connected');
+    }
+    this.connected = true;
+  }
+
+  handleCandle(connection, candle, status = {}) {
+    if (connection !== this.connection) return;
+    this.resetHeartbeat(connection);
+
+    // The stream works again, so the next failure starts the backoff afresh
+    if (!connection.received) {
+      connection.received = true;
+      this.attempt = 0;
+    }
+
+    if (this.backfilling) {
+      this.buffered.push([candle, status]);
+    } else if (this.lastTime !== null && candle.time > this.lastTime + this.seconds) {
+      // Bars were skipped, e.g. one closed while the socket was silent; fetch them first
+      this.buffered.push([candle, status]);
+      this.backfill(connection);
+    } else {
+      this.deliver(candle, status);
+    }
+  }
+
+  handleError(connection, error) {
+    if (connection !== this.connection) return;
+    this.lastError = error;
+  }
+
+  handleClose(connection) {
+    if (connection !== this.connection || this.stopped) return;
+    this.connection = null;
+    this.scheduleReconnect();
+  }
+
+  // Drop a socket that has stopped sending and open a new one
+  handleStale(connection) {
+    if (connection !== this.connection) return;
+    this.setStatus('stale', { timeout: this.options.heartbeatTimeout });
+    this.lastError = new Error(`No data for ${this.options.heartbeatTimeout} ms`);
+    this.disconnect();
+    this.scheduleReconnect();
+  }
+
+  resetHeartbeat(connection) {
+    clearTimeout(this.heartbeatTimer);
+    if (this.options.heartbeatTimeout > 0) {
+      this.heartbeatTimer = setTimeout(() => this.handleStale(connection), this.options.heartbeatTimeout);
+    }
+  }
+
+  scheduleReconnect() {
+    clearTimeout(this.heartbeatTimer);
+    clearTimeout(this.reconnectTimer);
+
+    const delay = this.getDelay(this.attempt);
+    this.attempt++;
+    this.setStatus('reconnecting', { delay, error: this.lastError ? this.lastError.message || 'Connection error' : null });
+    this.lastError = null;
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  // Exponential backoff with jitter, so many clients do not reconnect in lockstep
+  getDelay(attempt) {
+    const { initialDelay, maxDelay, backoffFactor, jitter } = this.options;
+    const delay = Math.min(maxDelay, initialDelay * Math.pow(backoffFactor, attempt));
+    return Math.round(delay * (1 + jitter * (Math.random() * 2 - 1)));
+  }
+
+  // Load the bars since the last one passed on; the newest fetched bar may still be forming.
+  // The count is not derived from the clock, since bar times need not follow it (e.g. a
+  // replaying mock server): up to maxBackfill bars are fetched and the hole left between them
+  // and the first socket update is reported as unrecovered
+  async backfill(connection) {
+    this.backfilling = true;
+    this.setStatus('backfilling', { since: this.lastTime });
+
+    const detail = { backfilled: 0, unrecovered: 0, error: null };
+
+    try {
+      const candles = await this.provider.fetchHistory(this.symbol, this.interval, this.options.maxBackfill, { startTime: this.lastTime * 1000 });
+      if (connection !== this.connection) return;
+
+      const now = Date.now() / 1000;
+      candles.forEach((candle, index) => this.deliver(candle, {
+        closed: index < candles.length - 1 || candle.time + this.seconds <= now,
+        backfill: true
+      }));
+      const newest = candles[candles.length - 1];
+      if (newest && (this.closedTime === null || newest.time > this.closedTime)) {
+        this.unconfirmed = newest;
+      }
+      detail.backfilled = candles.length;
+    } catch (error) {
+      if (connection !== this.connection) return;
+      console.error('Error backfilling live candles:', error);
+      detail.error = error.message;
+    }
+
+    this.backfilling = false;
+    const buffered = this.buffered;
+    this.buffered = [];
+    if (buffered.length > 0) {
+      detail.unrecovered = Math.max(0, Math.round((buffered[0][0].time - this.lastTime) / this.seconds) - 1);
+    }
+    buffered.forEach(([candle, status]) => this.deliver(candle, status));
+    this.setStatus('connected', detail);
+  }
+
+  // Pass a candle on unless it is older than one already passed on, or a bar that was
+  // already passed on as closed (a backfill starts with the last bar seen)
+  deliver(candle, status) {
+    if (this.lastTime !== null && candle.time < this.lastTime) return;
+    if (status.closed && this.closedTime !== null && candle.time <= this.closedTime) return;
+
+    // The clock cannot tell whether the newest backfilled bar had closed: if a newer bar
+    // arrives before the socket closes it, the fetched bar was final
+    if (this.unconfirmed && candle.time >= this.unconfirmed.time) {
+      const unconfirmed = this.unconfirmed;
+      this.unconfirmed = null;
+      if (candle.time > unconfirmed.time) {
+        this.closedTime = unconfirmed.time;
+        this.onCandle(unconfirmed, { closed: true, backfill: true });
+      }
+    }
+
+    this.lastTime = candle.time;
+    if (status.closed) {
+      this.closedTime = candle.time;
+    }
+    this.onCandle(candle, status);
+  }
+
+  setStatus(status, detail = {}) {
+    this.status = status;
+    this.onStatus({ status, symbol: this.symbol, interval: this.interval, attempt: this.attempt, ...detail });
+  }
+}
+
+LiveStream.DEFAULT_OPTIONS = {
+  initialDelay: 1000,       // ms before the first reconnect
+  maxDelay: 30000,          // upper bound of the backoff
+  backoffFactor: 2,
+  jitter: 0.2,              // +/- share of the delay chosen at random
+  heartbeatTimeout: 30000,  // ms without a message before the stream counts as stale (0 disables)
+  maxBackfill: 1000         // most bars fetched after a reconnect
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LiveStream;
+}
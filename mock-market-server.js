@@ -0,0 +1,345 @@
+// Mock Market Server - Serves recorded or generated candles over HTTP and a WebSocket
+// stream so the app can run without network access (used by LocalServerDataProvider)
+//
+//   node mock-market-server.js [--port 8765] [--file candles.csv --symbol BTCUSDT --interval 1m]
+//                              [--replay 500] [--tick-ms 250] [--ticks-per-bar 4]
+//                              [--drop-every 60] [--stall-every 120 --stall-for 40]
+//
+// GET /symbols                                        symbol metadata
+// GET /history?symbol=&interval=&limit=&startTime=&endTime=  closed candles, oldest first
+//                                                     (the first `limit` from startTime, else the last)
+// WS  /stream?symbol=&interval=                       { symbol, interval, candle, closed }
+// Any other GET path is served as a static file from the app directory.
+//
+// --drop-every closes all stream connections every N seconds and --stall-every keeps them
+// open but silent for --stall-for seconds, to exercise reconnects and gap backfills.
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const CandleIO = require('./candle-io.js');
+const { FileDataProvider } = require('./data-providers.js');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const CONTENT_TYPES = { '.html': 'text/html', '.js': 'text/javascript', '.json': 'application/json', '.csv': 'text/csv', '.css': 'text/css' };
+
+class MockMarketServer {
+  constructor(options = {}) {
+    this.options = { ...MockMarketServer.DEFAULT_OPTIONS, ...options };
+    this.markets = {};
+    this.server = null;
+    this.timer = null;
+    this.faultTimers = [];
+    this.stalledUntil = 0;
+    this.random = MockMarketServer.createRandom(this.options.seed);
+  }
+
+  // Register a market; the last `replayBars` candles are held back and streamed live
+  addMarket(symbol, interval, candles, replayBars = 0) {
+    const key = FileDataProvider.getKey(symbol, interval);
+    const sorted = candles.slice().sort((a, b) => a.time - b.time);
+    const split = Math.max(0, sorted.length - replayBars);
+
+    this.markets[key] = {
+      symbol: symbol.toUpperCase(),
+      interval,
+      seconds: CandleIO.intervalToSeconds(interval),
+      history: sorted.slice(0, split),
+      upcoming: sorted.slice(split),
+      current: null,
+      clients: new Set()
+    };
+    return this.markets[key];
+  }
+
+  // Random-walk candles ending at the current time
+  generateCandles(interval, count, startPrice = 100) {
+    const seconds = CandleIO.intervalToSeconds(interval);
+    const lastTime = Math.floor(Date.now() / 1000 / seconds) * seconds - seconds;
+    const candles = [];
+    let price = startPrice;
+
+    for (let i = count - 1; i >= 0; i--) {
+      const candle = this.nextCandle(lastTime - i * seconds, price);
+      candles.push(candle);
+      price = candle.close;
+    }
+    return candles;
+  }
+
+  nextCandle(time, open) {
+    const close = open * (1 + (this.random() - 0.5) * 0.01);
+    return {
+      time,
+      open,
+      high: Math.max(open, close) * (1 + this.random() * 0.002),
+      low: Math.min(open, close) * (1 - this.random() * 0.002),
+      close,
+      volume: Math.round(this.random() * 1000 * 100) / 100
+    };
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+    this.timer = setInterval(() => this.tick(), this.options.tickMs);
+
+    return new Promise(resolve => {
+      this.server.listen(this.options.port, () => resolve(this.server.address().port));
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.faultTimers.forEach(timer => clearInterval(timer));
+    Object.values(this.markets).forEach(market => market.clients.forEach(client => client.destroy()));
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  // Drop every stream connection, as a network failure would; the markets keep ticking meanwhile
+  disconnectClients() {
+    Object.values(this.markets).forEach(market => {
+      market.clients.forEach(client => client.destroy());
+      market.clients.clear();
+    });
+  }
+
+  // Keep the stream connections open but send nothing for `ms`
+  stall(ms) {
+    this.stalledUntil = Date.now() + ms;
+  }
+
+  // Repeat disconnects and stalls on a schedule (seconds), for trying out the client by hand
+  scheduleFaults(options = {}) {
+    if (options.dropEvery) {
+      this.faultTimers.push(setInterval(() => this.disconnectClients(), options.dropEvery * 1000));
+    }
+    if (options.stallEvery) {
+      this.faultTimers.push(setInterval(() => this.stall((options.stallFor || 40) * 1000), options.stallEvery * 1000));
+    }
+  }
+
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (url.pathname === '/symbols') {
+      const symbols = {};
+      Object.values(this.markets).forEach(market => {
+        symbols[market.symbol] = { symbol: market.symbol, baseAsset: null, quoteAsset: null, tickSize: null, pricePrecision: null };
+      });
+      return this.sendJson(res, 200, Object.values(symbols));
+    }
+
+    if (url.pathname === '/history') {
+      const market = this.markets[FileDataProvider.getKey(url.searchParams.get('symbol') || '', url.searchParams.get('interval') || '')];
+      if (!market) {
+        return this.sendJson(res, 404, { error: `Unknown market ${url.searchParams.get('symbol')} ${url.searchParams.get('interval')}` });
+      }
+      const limit = parseInt(url.searchParams.get('limit'), 10) || 1000;
+      const startTime = url.searchParams.has('startTime') ? Number(url.searchParams.get('startTime')) / 1000 : -Infinity;
+      const endTime = url.searchParams.has('endTime') ? Number(url.searchParams.get('endTime')) / 1000 : Infinity;
+      const selected = market.history.filter(candle => candle.time >= startTime && candle.time < endTime);
+      return this.sendJson(res, 200, url.searchParams.has('startTime') ? selected.slice(0, limit) : selected.slice(-limit));
+    }
+
+    this.serveStatic(url.pathname, res);
+  }
+
+  serveStatic(pathname, res) {
+    const root = path.resolve(this.options.staticDir);
+    const file = path.resolve(root, '.' + decodeURIComponent(pathname === '/' ? '/index 2.html' : pathname));
+
+    if (!file.startsWith(root + path.sep)) {
+      return this.sendJson(res, 403, { error: 'Forbidden' });
+    }
+
+    fs.readFile(file, (error, content) => {
+      if (error) {
+        return this.sendJson(res, 404, { error: `Not found: ${pathname}` });
+      }
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+      res.end(content);
+    });
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  // Accept a WebSocket handshake on /stream and attach the client to its market
+  handleUpgrade(req, socket) {
+    const url = new URL(req.url, 'http://localhost');
+    const market = this.markets[FileDataProvider.getKey(url.searchParams.get('symbol') || '', url.searchParams.get('interval') || '')];
+
+    if (url.pathname !== '/stream' || !market) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(req.headers['sec-websocket-key'] + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+
+    market.clients.add(socket);
+    socket.on('data', buffer => this.handleFrame(socket, buffer));
+    socket.on('close', () => market.clients.delete(socket));
+    socket.on('error', () => market.clients.delete(socket));
+  }
+
+  // Only control frames matter here: answer pings and close requests
+  handleFrame(socket, buffer) {
+    const opcode = buffer[0] & 0x0f;
+    if (opcode === 0x8) {
+      socket.end(MockMarketServer.encodeFrame(Buffer.alloc(0), 0x8));
+    } else if (opcode === 0x9) {
+      socket.write(MockMarketServer.encodeFrame(MockMarketServer.decodePayload(buffer), 0xa));
+    }
+  }
+
+  // Advance every market by one tick; a bar closes after ticksPerBar ticks
+  tick() {
+    Object.values(this.markets).forEach(market => {
+      if (!market.current) {
+        const last = market.history[market.history.length - 1];
+        const target = market.upcoming.length > 0
+          ? market.upcoming.shift()
+          : this.nextCandle(last ? last.time + market.seconds : Math.floor(Date.now() / 1000), last ? last.close : 100);
+        market.current = { target, step: 0, high: target.open, low: target.open };
+      }
+
+      const current = market.current;
+      const target = current.target;
+      current.step++;
+
+      const closed = current.step >= this.options.ticksPerBar;
+      const progress = current.step / this.options.ticksPerBar;
+      const close = closed ? target.close : target.open + (target.close - target.open) * progress;
+
+      // Reach the bar's extremes part-way through so partial bars look realistic
+      if (progress >= 0.5) current.high = target.high;
+      if (progress >= 0.75) current.low = target.low;
+
+      const candle = {
+        time: target.time,
+        open: target.open,
+        high: Math.max(current.high, close),
+        low: Math.min(current.low, close),
+        close,
+        volume: target.volume * progress
+      };
+
+      if (closed) {
+        market.history.push(target);
+        market.current = null;
+      }
+
+      this.broadcast(market, { symbol: market.symbol, interval: market.interval, candle: closed ? target : candle, closed });
+    });
+  }
+
+  broadcast(market, message) {
+    if (Date.now() < this.stalledUntil) return;
+    const frame = MockMarketServer.encodeFrame(Buffer.from(JSON.stringify(message)), 0x1);
+    market.clients.forEach(client => client.write(frame));
+  }
+}
+
+// Server-to-client frames are never masked
+MockMarketServer.encodeFrame = function(payload, opcode) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+// Client-to-server frames are always masked; only short control payloads are expected
+MockMarketServer.decodePayload = function(buffer) {
+  const length = buffer[1] & 0x7f;
+  const mask = buffer.slice(2, 6);
+  const payload = buffer.slice(6, 6 + length);
+  return Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+};
+
+// Seeded pseudo-random generator (mulberry32) so generated markets are reproducible
+MockMarketServer.createRandom = function(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+MockMarketServer.DEFAULT_OPTIONS = {
+  port: 8765,
+  tickMs: 1000,
+  ticksPerBar: 4,
+  seed: 42,
+  staticDir: __dirname
+};
+
+MockMarketServer.DEFAULT_SYMBOLS = ['BTCUSDT', 'ETHUSDT'];
+
+// Parse --name value pairs from the command line
+function parseArguments(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] !== undefined && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const args = parseArguments(process.argv.slice(2));
+  const options = {};
+  if (args.port) options.port = parseInt(args.port, 10);
+  if (args['tick-ms']) options.tickMs = parseInt(args['tick-ms'], 10);
+  if (args['ticks-per-bar']) options.ticksPerBar = parseInt(args['ticks-per-bar'], 10);
+  const server = new MockMarketServer(options);
+
+  const interval = args.interval || '1m';
+  if (args.file) {
+    const format = args.file.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+    const candles = FileDataProvider.parse(fs.readFileSync(args.file, 'utf8'), format);
+    server.addMarket(args.symbol || 'FILE', interval, candles, parseInt(args.replay, 10) || 0);
+  } else {
+    (args.symbol ? [args.symbol] : MockMarketServer.DEFAULT_SYMBOLS).forEach((symbol, index) => {
+      server.addMarket(symbol, interval, server.generateCandles(interval, parseInt(args.bars, 10) || 5000, 100 * (index + 1)));
+    });
+  }
+
+  server.scheduleFaults({
+    dropEvery: parseFloat(args['drop-every']) || 0,
+    stallEvery: parseFloat(args['stall-every']) || 0,
+    stallFor: parseFloat(args['stall-for']) || 0
+  });
+
+  server.start().then(port => {
+    console.log(`Mock market server on http://localhost:${port} (${Object.keys(server.markets).join(', ')})`);
+  });
+}
+
+module.exports = MockMarketServer;
@@ -0,0 +1,228 @@
+// Paper Trader - Forward-tests a strategy on the live stream with a simulated account
+//
+// Each closed bar is appended to the history and run through the interpreter's per-bar
+// logic, so fills, costs, sizing and risk exits behave exactly as in a backtest. The
+// session (account, position and trade log) is saved to localStorage after every bar.
+
+if (typeof module !== 'undefined' && module.exports) {
+  var CandleIO = require('./candle-io.js');
+  var StrategyInterpreter = require('./strategy-interpreter.js');
+}
+
+class PaperTrader {
+  constructor(options = {}) {
+    this.interpreter = options.interpreter || new StrategyInterpreter({ logging: false });
+    this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.storageKey = options.storageKey || 'paperTradingSession';
+    this.onUpdate = options.onUpdate || null;   // (account) after every live update
+    this.onTrade = options.onTrade || null;     // (trade, account) for every fill
+    this.strategy = null;
+    this.session = null;
+    this.running = false;
+    this.lastPrice = null;
+  }
+
+  // Start a session on the given history, or resume the saved one when it is for the same
+  // strategy, symbol and interval; bars that closed while the page was away are replayed
+  // details: { strategyId, symbol, interval }
+  start(strategy, history, details) {
+    const interpreter = this.interpreter;
+    const seconds = CandleIO.intervalToSeconds(details.interval);
+    // The newest bar is usually still forming; it is traded once the stream reports it closed
+    const data = history.filter(candle => candle.time + seconds <= Date.now() / 1000);
+
+    interpreter.reset();
+    this.strategy = interpreter.applyParameters(strategy);
+    interpreter.data = data;
+    this.calculateIndicators();
+    interpreter.compileConditions(this.strategy);
+    interpreter.startTrading(this.strategy);
+
+    const saved = this.loadSession();
+    const resume = saved && saved.strategyId === details.strategyId && saved.symbol === details.symbol && saved.interval === details.interval;
+
+    if (resume) {
+      this.session = saved;
+      this.restoreAccount(saved);
+    } else {
+      this.session = {
+        ...details,
+        strategyName: strategy.name || 'Custom Strategy',
+        startedAt: Date.now(),
+        initialCapital: interpreter.execution.initialCapital,
+        lastBarTime: data.length > 0 ? data[data.length - 1].time : null
+      };
+    }
+
+    this.running = true;
+    this.lastPrice = data.length > 0 ? data[data.length - 1].close : null;
+
+    if (resume) {
+      data.forEach((candle, index) => {
+        if (this.session.lastBarTime === null || candle.time > this.session.lastBarTime) {
+          this.processClosedBar(index, false);
+        }
+      });
+    }
+
+    this.saveSession();
+    this.emitUpdate();
+    return this.getAccount();
+  }
+
+  // Show the saved session (e.g. after a page reload) until it is resumed with start()
+  restore() {
+    const saved = this.loadSession();
+    if (!saved) return null;
+
+    this.session = saved;
+    this.restoreAccount(saved);
+    this.lastPrice = saved.position ? saved.position.entryPrice : null;
+    this.emitUpdate();
+    return this.getAccount();
+  }
+
+  stop() {
+    this.running = false;
+    this.saveSession();
+    this.emitUpdate();
+  }
+
+  // Discard the saved session and its trade log
+  reset() {
+    this.running = false;
+    this.session = null;
+    this.interpreter.reset();
+    if (this.storage) {
+      this.storage.removeItem(this.storageKey);
+    }
+    this.emitUpdate();
+  }
+
+  // Feed a live candle update; the strategy runs when the bar closes, while every tick
+  // refreshes the unrealized P&L
+  onCandle(candle, status = {}) {
+    if (!this.running) return;
+
+    const data = this.interpreter.data;
+    const last = data[data.length - 1];
+    if (last && candle.time < last.time) return;
+
+    this.lastPrice = candle.close;
+
+    if (status.closed) {
+      if (last && candle.time === last.time) {
+        data[data.length - 1] = candle;
+      } else {
+        data.push(candle);
+      }
+      this.processClosedBar(data.length - 1, true);
+      this.saveSession();
+    }
+
+    this.emitUpdate();
+  }
+
+  // Recalculate the indicators with the new bar and run the strategy on it
+  processClosedBar(index, notify) {
+    const interpreter = this.interpreter;
+    const tradeCount = interpreter.trades.length;
+
+    this.calculateIndicators();
+    if (index >= interpreter.getStartIndex(this.strategy)) {
+      interpreter.processBar(index);
+    }
+    this.session.lastBarTime = interpreter.data[index].time;
+    this.lastPrice = interpreter.data[index].close;
+
+    if (notify && this.onTrade) {
+      interpreter.trades.slice(tradeCount).forEach(trade => this.onTrade(trade, this.getAccount()));
+    }
+  }
+
+  calculateIndicators() {
+    this.interpreter.calculateIndicators(this.strategy);
+    this.interpreter.calculateTimeframeIndicators(this.strategy);
+  }
+
+  // Simulated account at the latest price
+  getAccount(price = this.lastPrice) {
+    const interpreter = this.interpreter;
+    const position = interpreter.position;
+    const sign = position && position.direction === 'short' ? -1 : 1;
+    const unrealizedProfit = position && price !== null ? sign * (price - position.entryPrice) * position.quantity : 0;
+
+    return {
+      running: this.running,
+      session: this.session,
+      cash: interpreter.cash,
+      equity: interpreter.cash + (position && price !== null ? sign * position.quantity * price : 0),
+      position: position,
+      price: price,
+      unrealizedProfit: unrealizedProfit,
+      realizedProfit: interpreter.trades.filter(trade => trade.type === 'exit').reduce((sum, trade) => sum + trade.profit, 0),
+      trades: interpreter.trades,
+      buyMarkers: interpreter.buyMarkers,
+      sellMarkers: interpreter.sellMarkers
+    };
+  }
+
+  emitUpdate() {
+    if (this.onUpdate) {
+      this.onUpdate(this.getAccount());
+    }
+  }
+
+  // Put the saved account back into the interpreter; bar indices are re-mapped by time
+  // because the reloaded history starts at a different bar
+  restoreAccount(saved) {
+    const interpreter = this.interpreter;
+    interpreter.cash = saved.cash;
+    interpreter.peakEquity = saved.peakEquity;
+    interpreter.trades = saved.trades || [];
+    interpreter.buyMarkers = saved.buyMarkers || [];
+    interpreter.sellMarkers = saved.sellMarkers || [];
+    interpreter.pendingOrders = saved.pendingOrders || [];
+    interpreter.position = saved.position
+      ? { ...saved.position, entryIndex: Math.max(interpreter.data.findIndex(candle => candle.time >= saved.position.entryTime), 0) }
+      : null;
+  }
+
+  saveSession() {
+    if (!this.storage || !this.session) return;
+
+    const interpreter = this.interpreter;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify({
+        ...this.session,
+        cash: interpreter.cash,
+        peakEquity: interpreter.peakEquity,
+        position: interpreter.position,
+        pendingOrders: interpreter.pendingOrders,
+        trades: interpreter.trades,
+        buyMarkers: interpreter.buyMarkers,
+        sellMarkers: interpreter.sellMarkers,
+        savedAt: Date.now()
+      }));
+    } catch (error) {
+      console.error('Error saving paper trading session:', error);
+    }
+  }
+
+  // The saved session, or null if there is none or it cannot be read
+  loadSession() {
+    if (!this.storage) return null;
+    try {
+      const saved = this.storage.getItem(this.storageKey);
+      return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.error('Error loading paper trading session:', error);
+      return null;
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PaperTrader;
+}
@@ -0,0 +1,234 @@
+// Portfolio Backtester - Runs one strategy over several symbols with a shared account
+//
+// Each symbol gets its own interpreter (indicators, signals, fills and risk exits exactly as in
+// a single-symbol backtest), and the bars of all symbols are replayed in time order on one
+// merged timeline. Cash is shared: before a symbol's bar runs it is handed the portfolio cash
+// and an order size from the allocation rules, and the cash it leaves is taken back. The
+// allocation rules replace the strategy's own sizing, and no order is larger than the equity
+// left free by the open positions, so longs and shorts together are not leveraged.
+//
+// Allocation rules (options.allocation, overridable per symbol in options.allocations):
+//   { mode: 'equal' }                  equity / maxPositions per position (default)
+//   { mode: 'percent', value: 20 }     a percent of portfolio equity per position
+//   { mode: 'fixed', value: 1000 }     a fixed amount per position
+
+if (typeof module !== 'undefined' && module.exports) {
+  var StrategyInterpreter = require('./strategy-interpreter.js');
+}
+
+var PortfolioBacktester = class PortfolioBacktester {
+  constructor(options = {}) {
+    this.logging = options.logging || false;
+  }
+
+  // datasets: { BTCUSDT: candles, ETHUSDT: candles, ... }
+  // options: { initialCapital, maxPositions, allocation, allocations: { SYMBOL: rule }, onProgress(done, total) }
+  run(strategy, datasets, options = {}) {
+    const symbols = Object.keys(datasets).filter(symbol => datasets[symbol] && datasets[symbol].length > 0);
+    if (symbols.length === 0) {
+      throw new Error('Portfolio backtest needs candles for at least one symbol');
+    }
+
+    const books = symbols.map(symbol => this.createBook(symbol, strategy, datasets[symbol]));
+    const execution = books[0].interpreter.execution;
+    const initialCapital = options.initialCapital || execution.initialCapital;
+    const maxPositions = Math.max(1, Math.floor(options.maxPositions || symbols.length));
+    const allocation = { mode: 'equal', ...options.allocation };
+    const allocations = options.allocations || {};
+
+    const account = { cash: initialCapital, peakEquity: initialCapital };
+    const equityCurve = [];
+
+    const timeline = PortfolioBacktester.getTimeline(books.map(book => book.data));
+    timeline.forEach((time, step) => {
+      books.forEach(book => {
+        const index = book.cursor;
+        if (index >= book.data.length || book.data[index].time !== time) return;
+        book.cursor++;
+        book.lastClose = book.data[index].close;
+        if (index < book.startIndex) return;
+
+        // A symbol that holds a position keeps its slot, so reversals are not blocked
+        const open = books.filter(other => other.interpreter.position).length;
+        const canEnter = book.interpreter.position || open < maxPositions;
+        const rule = { ...allocation, ...allocations[book.symbol] };
+        const amount = canEnter ? this.getAllocation(rule, this.getEquity(account, books), this.getFreeEquity(account, books, book), maxPositions) : 0;
+
+        const interpreter = book.interpreter;
+        interpreter.cash = account.cash;
+        interpreter.execution.sizing = { mode: 'fixedNotional', value: this.getNotional(amount, interpreter.execution.commission) };
+        interpreter.processBar(index);
+        account.cash = interpreter.cash;
+      });
+
+      equityCurve.push(this.getEquityPoint(time, account, books));
+      if (options.onProgress) {
+        options.onProgress(step + 1, timeline.length);
+      }
+    });
+
+    const trades = [];
+    books.forEach(book => {
+      book.interpreter.trades.forEach(trade => trades.push({ symbol: book.symbol, ...trade }));
+    });
+    trades.sort((a, b) => a.time - b.time);
+
+    const stats = new StrategyInterpreter({ logging: false }).calculateStatistics(trades, equityCurve, initialCapital);
+
+    this.log(`Portfolio run over ${symbols.length} symbols: ${trades.length} trades, final equity ${stats.finalEquity.toFixed(2)}`);
+
+    return {
+      symbols,
+      initialCapital,
+      maxPositions,
+      allocation,
+      stats,
+      equityCurve,
+      trades,
+      contributions: books.map(book => this.getContribution(book, initialCapital, stats.finalEquity - initialCapital)),
+      results: Object.fromEntries(books.map(book => [book.symbol, {
+        trades: book.interpreter.trades,
+        buyMarkers: book.interpreter.buyMarkers,
+        sellMarkers: book.interpreter.sellMarkers,
+        indicatorConfig: book.strategy.indicators
+      }]))
+    };
+  }
+
+  // Interpreter with indicators and conditions ready for one symbol's candles
+  createBook(symbol, strategy, data) {
+    const interpreter = new StrategyInterpreter({ logging: this.logging });
+    interpreter.reset();
+    const resolved = interpreter.applyParameters(strategy);
+    interpreter.data = data;
+    interpreter.calculateIndicators(resolved);
+    interpreter.calculateTimeframeIndicators(resolved);
+    interpreter.compileConditions(resolved);
+    interpreter.startTrading(resolved);
+
+    return {
+      symbol,
+      data,
+      interpreter,
+      strategy: resolved,
+      startIndex: Math.max(interpreter.getStartIndex(resolved), interpreter.getFirstTradingIndex(resolved)),
+      cursor: 0,
+      lastClose: null,
+      firstClose: data[0].close
+    };
+  }
+
+  // Amount to put into a new position; never more than the free equity (see getFreeEquity)
+  getAllocation(rule, equity, free, maxPositions) {
+    let amount;
+    switch (rule.mode) {
+      case 'equal':
+        amount = equity / maxPositions;
+        break;
+      case 'percent':
+        amount = equity * rule.value / 100;
+        break;
+      case 'fixed':
+        amount = rule.value;
+        break;
+      default:
+        throw new Error(`Unknown allocation mode: ${rule.mode}`);
+    }
+    return Math.max(Math.min(amount, free), 0);
+  }
+
+  // Notional that leaves room for the commission, so the fill fits the allocated amount
+  getNotional(amount, commission) {
+    const notional = (amount - (commission.fixed || 0)) / (1 + (commission.percent || 0) / 100);
+    return Math.max(notional, 0);
+  }
+
+  // Equity not committed to open positions: a long ties up its value, and a short both owes
+  // its buy-back cost and ties up as much again, so shorts cannot fund further positions.
+  // The current symbol's own position only opens another after it is closed, so it counts
+  // as settled at its latest close
+  getFreeEquity(account, books, current) {
+    return books.reduce((free, book) => {
+      const position = book.interpreter.position;
+      if (!position) return free;
+      const value = position.quantity * book.lastClose;
+      if (book === current) {
+        return free + (position.direction === 'long' ? value : -value);
+      }
+      return position.direction === 'short' ? free - 2 * value : free;
+    }, account.cash);
+  }
+
+  // Cash plus open positions at each symbol's latest close
+  getEquity(account, books) {
+    return books.reduce((equity, book) => {
+      const position = book.interpreter.position;
+      if (!position) return equity;
+      const sign = position.direction === 'long' ? 1 : -1;
+      return equity + sign * position.quantity * book.lastClose;
+    }, account.cash);
+  }
+
+  // Equity point shaped like the interpreter's; close is an equal-weight index of the
+  // symbols (100 at their first bars), so buy-and-hold statistics describe the basket
+  getEquityPoint(time, account, books) {
+    const equity = this.getEquity(account, books);
+    account.peakEquity = Math.max(account.peakEquity, equity);
+    const drawdown = account.peakEquity - equity;
+    const priced = books.filter(book => book.lastClose !== null);
+
+    return {
+      time,
+      equity,
+      drawdown,
+      drawdownPercent: account.peakEquity > 0 ? (drawdown / account.peakEquity) * 100 : 0,
+      close: priced.reduce((sum, book) => sum + 100 * book.lastClose / book.firstClose, 0) / priced.length,
+      inPosition: books.some(book => book.interpreter.position),
+      positions: books.filter(book => book.interpreter.position).length
+    };
+  }
+
+  // A symbol's share of the result: closed trades plus its open position at the last price
+  getContribution(book, initialCapital, portfolioProfit) {
+    const interpreter = book.interpreter;
+    const exits = interpreter.trades.filter(trade => trade.type === 'exit');
+    const realizedProfit = exits.reduce((sum, trade) => sum + trade.profit, 0);
+    const position = interpreter.position;
+    const unrealizedProfit = position
+      ? (position.direction === 'long' ? 1 : -1) * (book.lastClose - position.entryPrice) * position.quantity - position.entryFee
+      : 0;
+    const totalProfit = realizedProfit + unrealizedProfit;
+
+    return {
+      symbol: book.symbol,
+      trades: exits.length,
+      wins: exits.filter(trade => trade.profit > 0).length,
+      winRate: exits.length > 0 ? (exits.filter(trade => trade.profit > 0).length / exits.length) * 100 : 0,
+      fees: interpreter.trades.reduce((sum, trade) => sum + (trade.fee || 0), 0),
+      realizedProfit,
+      unrealizedProfit,
+      totalProfit,
+      returnPercent: initialCapital > 0 ? (totalProfit / initialCapital) * 100 : 0,
+      shareOfProfit: portfolioProfit !== 0 ? (totalProfit / portfolioProfit) * 100 : 0,
+      openPosition: position ? position.direction : null
+    };
+  }
+
+  log(...args) {
+    if (this.logging) {
+      console.log(...args);
+    }
+  }
+};
+
+// Sorted union of the bar times of several series
+PortfolioBacktester.getTimeline = function(series) {
+  const times = new Set();
+  series.forEach(data => data.forEach(candle => times.add(candle.time)));
+  return Array.from(times).sort((a, b) => a - b);
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PortfolioBacktester;
+}
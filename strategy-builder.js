@@ -0,0 +1,477 @@
+// Strategy Builder - Turns a form-style strategy description (indicators, rule groups and
+// risk exits) into a serializable strategy with expression conditions, plus the in-page
+// editor that produces those descriptions
+//
+// Builder model:
+//   {
+//     name, description,
+//     indicators: [{ type: 'sma', params: { period: 50 } }, { type: 'rsi', params: { period: 14 } }],
+//     rules: {
+//       enterLong: { logic: 'and', rules: [
+//         { left: 'rsi', comparator: 'crossesAbove', right: { value: 30 } },
+//         { left: 'close', comparator: '>', right: { operand: 'sma50' } },
+//         { logic: 'or', rules: [...] }              // nested group
+//       ] },
+//       exitLong: {...}, enterShort: {...}, exitShort: {...}
+//     },
+//     risk: { stopLoss: { type: 'percent', value: 2 }, takeProfit: null, trailingStop: null, maxBarsInTrade: null }
+//   }
+
+if (typeof module !== 'undefined' && module.exports) {
+  var { Indicators } = require('./indicators.js');
+  var StrategyInterpreter = require('./strategy-interpreter.js');
+  var StrategyValidator = require('./strategy-validator.js');
+}
+
+class StrategyBuilder {
+  constructor(options = {}) {
+    this.validator = options.validator || new StrategyValidator();
+  }
+
+  // Strategy object for StrategyInterpreter.interpret and StrategyLibrary.addStrategy; the
+  // model is kept on it so the strategy can be edited again. It is checked with the same
+  // validator the library applies, so whatever builds can also be saved
+  build(model) {
+    if (!model.name || !model.name.trim()) {
+      throw new Error('The strategy needs a name');
+    }
+
+    const operands = this.getOperands(model.indicators).map(operand => operand.value);
+    const conditions = {};
+    StrategyBuilder.RULE_SETS.forEach(({ key }) => {
+      const expression = this.buildGroup(model.rules[key], operands);
+      if (expression) conditions[key] = expression;
+    });
+
+    if (!conditions.enterLong && !conditions.enterShort) {
+      throw new Error('Add at least one entry rule');
+    }
+
+    const strategy = {
+      name: model.name.trim(),
+      description: model.description || 'Built with the strategy builder',
+      indicators: this.buildIndicators(model.indicators),
+      conditions,
+      builder: JSON.parse(JSON.stringify(model))
+    };
+
+    const risk = this.buildRisk(model.risk);
+    if (risk) strategy.risk = risk;
+
+    const report = this.validator.validate(strategy);
+    if (!report.valid) {
+      const error = new Error(report.errors.map(StrategyValidator.formatIssue).join('\n'));
+      error.issues = report.errors;
+      throw error;
+    }
+    return strategy;
+  }
+
+  // strategy.indicators from the chosen indicators; moving averages collect their periods
+  buildIndicators(indicators) {
+    const result = {};
+    indicators.forEach(({ type, params }) => {
+      if (type === 'sma' || type === 'ema') {
+        result[type] = result[type] || [];
+        if (!result[type].includes(params.period)) result[type].push(params.period);
+      } else if (result[type]) {
+        throw new Error(`${StrategyBuilder.getIndicatorLabel(type)} can only be added once`);
+      } else {
+        result[type] = { ...params };
+      }
+    });
+    return result;
+  }
+
+  // Expression for a rule group, or null when it has no rules
+  buildGroup(group, operands) {
+    if (!group) return null;
+
+    const parts = group.rules
+      .map(rule => rule.rules ? this.buildGroup(rule, operands) : this.buildRule(rule, operands))
+      .filter(Boolean);
+    if (parts.length === 0) return null;
+    if (parts.length === 1) return parts[0];
+    return '(' + parts.join(group.logic === 'or' ? ' or ' : ' and ') + ')';
+  }
+
+  buildRule(rule, operands) {
+    const left = this.buildOperand(rule.left, operands);
+    const right = rule.right.operand !== undefined
+      ? this.buildOperand(rule.right.operand, operands)
+      : this.buildValue(rule.right.value);
+
+    switch (rule.comparator) {
+      case 'crossesAbove':
+        return `crossesAbove(${left}, ${right})`;
+      case 'crossesBelow':
+        return `crossesBelow(${left}, ${right})`;
+      default:
+        if (!StrategyBuilder.COMPARATORS.some(comparator => comparator.value === rule.comparator)) {
+          throw new Error(`Unknown comparison: ${rule.comparator}`);
+        }
+        return `${left} ${rule.comparator} ${right}`;
+    }
+  }
+
+  buildOperand(name, operands) {
+    if (!operands.includes(name)) {
+      throw new Error(`A rule uses '${name}', which none of the chosen indicators provides`);
+    }
+    return name;
+  }
+
+  buildValue(value) {
+    const number = Number(value);
+    if (value === '' || value === null || value === undefined || !Number.isFinite(number)) {
+      throw new Error(`'${value}' is not a number`);
+    }
+    return String(number);
+  }
+
+  // strategy.risk from the risk exits that are switched on
+  buildRisk(risk = {}) {
+    const result = {};
+    ['stopLoss', 'takeProfit', 'trailingStop'].forEach(rule => {
+      if (risk[rule] && Number(risk[rule].value) > 0) {
+        result[rule] = { type: risk[rule].type || 'percent', value: Number(risk[rule].value) };
+      }
+    });
+    if (Number(risk.maxBarsInTrade) > 0) {
+      result.maxBarsInTrade = Math.floor(Number(risk.maxBarsInTrade));
+    }
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  // Values the rules can compare: price fields and the outputs of the chosen indicators
+  getOperands(indicators) {
+    const operands = StrategyBuilder.PRICE_OPERANDS.map(value => ({ value, label: value }));
+    indicators.forEach(({ type, params }) => {
+      StrategyBuilder.getOutputNames(type, params).forEach(value => {
+        if (!operands.some(operand => operand.value === value)) {
+          operands.push({ value, label: value });
+        }
+      });
+    });
+    return operands;
+  }
+}
+
+// Rule sets of a strategy, in the order the editor shows them
+StrategyBuilder.RULE_SETS = [
+  { key: 'enterLong', label: 'Buy (enter long)' },
+  { key: 'exitLong', label: 'Sell (exit long)' },
+  { key: 'enterShort', label: 'Enter short' },
+  { key: 'exitShort', label: 'Exit short' }
+];
+
+StrategyBuilder.COMPARATORS = [
+  { value: '>', label: '>' },
+  { value: '>=', label: '>=' },
+  { value: '<', label: '<' },
+  { value: '<=', label: '<=' },
+  { value: '==', label: '=' },
+  { value: '!=', label: '!=' },
+  { value: 'crossesAbove', label: 'crosses above' },
+  { value: 'crossesBelow', label: 'crosses below' }
+];
+
+StrategyBuilder.PRICE_OPERANDS = ['close', 'open', 'high', 'low', 'volume'];
+
+StrategyBuilder.RISK_RULES = [
+  { key: 'stopLoss', label: 'Stop Loss' },
+  { key: 'takeProfit', label: 'Take Profit' },
+  { key: 'trailingStop', label: 'Trailing Stop' }
+];
+
+// The volume average is declared in strategies but is not a registry indicator
+StrategyBuilder.VOLUME_PARAMS = { period: 20 };
+
+// Indicator types the builder offers: the built-in ones, then everything registered
+StrategyBuilder.getIndicatorTypes = function() {
+  const registered = Object.keys(Indicators.definitions)
+    .filter(name => !StrategyInterpreter.BUILTIN_INDICATORS.includes(name));
+  return [...StrategyInterpreter.BUILTIN_INDICATORS, ...registered];
+};
+
+StrategyBuilder.getIndicatorLabel = function(type) {
+  return type === 'volume' ? 'Volume SMA' : type.toUpperCase();
+};
+
+// Default parameters of an indicator type
+StrategyBuilder.getDefaultParams = function(type) {
+  return type === 'volume' ? { ...StrategyBuilder.VOLUME_PARAMS } : Indicators.getParams(type);
+};
+
+// Value names an indicator provides to the rules
+StrategyBuilder.getOutputNames = function(type, params) {
+  switch (type) {
+    case 'sma':
+    case 'ema':
+      return [`${type}${params.period}`];
+    case 'rsi':
+      return ['rsi'];
+    case 'volume':
+      return ['volumeSMA'];
+    default:
+      return Object.values(Indicators.get(type).outputs);
+  }
+};
+
+// A new model: no indicators, empty rule groups and no risk exits
+StrategyBuilder.createModel = function() {
+  const rules = {};
+  StrategyBuilder.RULE_SETS.forEach(({ key }) => {
+    rules[key] = { logic: 'and', rules: [] };
+  });
+  return { name: '', description: '', indicators: [], rules, risk: {} };
+};
+
+// In-page editor for a builder model. Every change updates the model and redraws the form,
+// so operand lists always match the chosen indicators
+// options: { onSave(strategy, model), onLoad() -> model or null, onError(error) }
+class StrategyBuilderPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.builder = options.builder || new StrategyBuilder();
+    this.onSave = options.onSave || null;
+    this.onLoad = options.onLoad || null;
+    this.onError = options.onError || (error => alert(error.message));
+    this.model = StrategyBuilder.createModel();
+    this.render();
+  }
+
+  setModel(model) {
+    this.model = JSON.parse(JSON.stringify(model));
+    this.render();
+  }
+
+  getModel() {
+    return this.model;
+  }
+
+  render() {
+    const operands = this.builder.getOperands(this.model.indicators);
+    this.container.innerHTML = '';
+
+    const name = this.input('text', this.model.name, value => { this.model.name = value; });
+    name.placeholder = 'Strategy name';
+    const description = this.input('text', this.model.description, value => { this.model.description = value; });
+    description.placeholder = 'Description (optional)';
+    description.size = 40;
+    this.container.appendChild(this.row([name, description]));
+
+    this.container.appendChild(this.heading('Indicators'));
+    this.model.indicators.forEach((indicator, index) => {
+      this.container.appendChild(this.renderIndicator(indicator, index));
+    });
+    const types = StrategyBuilder.getIndicatorTypes();
+    const newType = this.select(types.map(type => ({ value: type, label: StrategyBuilder.getIndicatorLabel(type) })), types[0]);
+    const addIndicator = this.button('Add Indicator', () => {
+      this.model.indicators.push({ type: newType.value, params: StrategyBuilder.getDefaultParams(newType.value) });
+    });
+    this.container.appendChild(this.row([newType, addIndicator]));
+
+    StrategyBuilder.RULE_SETS.forEach(({ key, label }) => {
+      this.container.appendChild(this.heading(label));
+      this.container.appendChild(this.renderGroup(this.model.rules[key], operands, null));
+    });
+
+    this.container.appendChild(this.heading('Risk Exits'));
+    this.container.appendChild(this.renderRisk());
+
+    const buttons = [this.button('Save to Library', () => this.save(), false)];
+    if (this.onLoad) {
+      buttons.push(this.button('Edit Selected', () => this.load(), false));
+    }
+    buttons.push(this.button('New', () => { this.model = StrategyBuilder.createModel(); }));
+    this.container.appendChild(this.row(buttons));
+  }
+
+  // One indicator: type label, its parameters and a remove button
+  renderIndicator(indicator, index) {
+    const parts = [this.label(StrategyBuilder.getIndicatorLabel(indicator.type))];
+    Object.keys(indicator.params).forEach(param => {
+      const value = indicator.params[param];
+      const input = this.input(typeof value === 'number' ? 'number' : 'text', value, newValue => {
+        indicator.params[param] = typeof value === 'number' ? Number(newValue) : newValue;
+      });
+      input.style.width = '70px';
+      parts.push(this.label(param), input);
+    });
+    parts.push(this.button('Remove', () => { this.model.indicators.splice(index, 1); }));
+    return this.row(parts);
+  }
+
+  // A rule group with its AND/OR choice, rules, nested groups and add buttons
+  renderGroup(group, operands, parent) {
+    const box = document.createElement('div');
+    box.style.cssText = parent ? 'margin-left: 20px; padding-left: 10px; border-left: 2px solid #444;' : '';
+
+    const logic = this.select([{ value: 'and', label: 'All of (AND)' }, { value: 'or', label: 'Any of (OR)' }], group.logic, value => {
+      group.logic = value;
+    });
+    const header = [logic];
+    if (parent) {
+      header.push(this.button('Remove Group', () => { parent.rules.splice(parent.rules.indexOf(group), 1); }));
+    }
+    box.appendChild(this.row(header));
+
+    group.rules.forEach(rule => {
+      box.appendChild(rule.rules ? this.renderGroup(rule, operands, group) : this.renderRule(rule, operands, group));
+    });
+
+    box.appendChild(this.row([
+      this.button('Add Rule', () => {
+        group.rules.push({ left: operands[0].value, comparator: '>', right: { value: 0 } });
+      }),
+      this.button('Add Group', () => {
+        group.rules.push({ logic: group.logic === 'and' ? 'or' : 'and', rules: [] });
+      })
+    ]));
+    return box;
+  }
+
+  // One rule: operand, comparison, then a number or another operand
+  renderRule(rule, operands, group) {
+    const options = [...operands];
+    [rule.left, rule.right.operand].forEach(name => {
+      // Keep operands whose indicator was removed visible, so the rule can be fixed
+      if (name !== undefined && !options.some(operand => operand.value === name)) {
+        options.push({ value: name, label: `${name} (missing)` });
+      }
+    });
+
+    const parts = [
+      this.select(options, rule.left, value => { rule.left = value; }),
+      this.select(StrategyBuilder.COMPARATORS, rule.comparator, value => { rule.comparator = value; })
+    ];
+
+    const isOperand = rule.right.operand !== undefined;
+    parts.push(this.select([{ value: 'value', label: 'value' }, { value: 'operand', label: 'indicator' }], isOperand ? 'operand' : 'value', kind => {
+      rule.right = kind === 'operand' ? { operand: operands[0].value } : { value: 0 };
+    }));
+
+    if (isOperand) {
+      parts.push(this.select(options, rule.right.operand, value => { rule.right = { operand: value }; }));
+    } else {
+      const value = this.input('number', rule.right.value, newValue => { rule.right = { value: newValue === '' ? '' : Number(newValue) }; });
+      value.step = 'any';
+      value.style.width = '90px';
+      parts.push(value);
+    }
+
+    parts.push(this.button('Remove', () => { group.rules.splice(group.rules.indexOf(rule), 1); }));
+    return this.row(parts);
+  }
+
+  renderRisk() {
+    const risk = this.model.risk;
+    const parts = [];
+    StrategyBuilder.RISK_RULES.forEach(({ key, label }) => {
+      const rule = risk[key] || { type: 'percent', value: '' };
+      const type = this.select([
+        { value: 'percent', label: '%' },
+        { value: 'fixed', label: 'price' },
+        { value: 'atr', label: 'x ATR' }
+      ], rule.type, value => { risk[key] = { ...rule, type: value }; });
+      const value = this.input('number', rule.value, newValue => { risk[key] = { ...rule, value: newValue === '' ? '' : Number(newValue) }; });
+      value.placeholder = 'off';
+      value.step = 'any';
+      value.style.width = '70px';
+      parts.push(this.label(label), value, type);
+    });
+
+    const maxBars = this.input('number', risk.maxBarsInTrade || '', value => { risk.maxBarsInTrade = value === '' ? null : Number(value); });
+    maxBars.placeholder = 'off';
+    maxBars.style.width = '70px';
+    parts.push(this.label('Max Bars'), maxBars);
+    return this.row(parts);
+  }
+
+  save() {
+    try {
+      const strategy = this.builder.build(this.model);
+      if (this.onSave) this.onSave(strategy, this.model);
+    } catch (error) {
+      this.onError(error);
+    }
+  }
+
+  load() {
+    const model = this.onLoad();
+    if (model) {
+      this.setModel(model);
+    } else {
+      this.onError(new Error('The selected strategy was not made with the builder'));
+    }
+  }
+
+  // Form helpers; handlers that change the model redraw the form afterwards
+
+  row(children) {
+    const row = document.createElement('div');
+    row.className = 'controls';
+    row.style.marginBottom = '8px';
+    children.forEach(child => row.appendChild(child));
+    return row;
+  }
+
+  heading(text) {
+    const heading = document.createElement('h4');
+    heading.textContent = text;
+    heading.style.margin = '12px 0 6px';
+    return heading;
+  }
+
+  label(text) {
+    const label = document.createElement('label');
+    label.textContent = text;
+    return label;
+  }
+
+  input(type, value, onChange) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value === undefined || value === null ? '' : value;
+    input.addEventListener('change', () => {
+      onChange(input.value);
+      this.render();
+    });
+    return input;
+  }
+
+  select(options, value, onChange) {
+    const select = document.createElement('select');
+    options.forEach(option => {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.label;
+      select.appendChild(element);
+    });
+    select.value = value;
+    if (onChange) {
+      select.addEventListener('change', () => {
+        onChange(select.value);
+        this.render();
+      });
+    }
+    return select;
+  }
+
+  button(text, onClick, redraw = true) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.addEventListener('click', () => {
+      onClick();
+      if (redraw) this.render();
+    });
+    return button;
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { StrategyBuilder, StrategyBuilderPanel };
+}
@@ -0,0 +1,420 @@
+// Strategy Expression - Tokenizer, parser and evaluator for string strategy conditions
+//
+// Supported syntax:
+//   arithmetic   + - * / %            comparisons  < <= > >= == !=
+//   logic        and or not (&& || !)  grouping     ( ... )
+//   lookback     close[1], sma20[3], (high - low)[2]
+//   functions    crossesAbove(a, b), crossesBelow(a, b)   (also named crossover/crossunder)
+//                risingFor(x, n), fallingFor(x, n)         x rose/fell on each of the last n bars
+//                abs(x), min(a, b), max(a, b)
+//
+// Identifiers are resolved through a scope object supplied by the caller, so the
+// expression language never executes arbitrary code.
+
+// Error raised for malformed or unresolvable expressions, carrying the column (1-based)
+class ExpressionError extends Error {
+  constructor(message, column, expression) {
+    super(column ? `${message} at column ${column}` : message);
+    this.name = 'ExpressionError';
+    this.reason = message;
+    this.column = column;
+    this.expression = expression;
+  }
+}
+
+// Classes other modules use are declared with var, as here. Those modules load them with
+// `var X = require(...)` inside a Node-only check: in Node that binding is local to the
+// module, while in the browser (<script> tags, or importScripts in the worker) it names the
+// same global, which a class declaration would not allow.
+var StrategyExpression = class StrategyExpression {
+  constructor() {
+    this.cache = new Map();
+
+    // Built-in functions receive their arguments unevaluated so they can look back in history.
+    // A cross needs a above (below) b on this bar after being at or below (above) it on the last
+    this.functions = {
+      crossover: {
+        arity: 2,
+        evaluate: (args, scope, offset) => {
+          const [a, b] = args;
+          return this.evaluateNode(a, scope, offset) > this.evaluateNode(b, scope, offset) &&
+            this.evaluateNode(a, scope, offset + 1) <= this.evaluateNode(b, scope, offset + 1);
+        }
+      },
+      crossunder: {
+        arity: 2,
+        evaluate: (args, scope, offset) => {
+          const [a, b] = args;
+          return this.evaluateNode(a, scope, offset) < this.evaluateNode(b, scope, offset) &&
+            this.evaluateNode(a, scope, offset + 1) >= this.evaluateNode(b, scope, offset + 1);
+        }
+      },
+      risingFor: {
+        arity: 2,
+        evaluate: (args, scope, offset) => this.changedFor(args, scope, offset, (current, previous) => current > previous)
+      },
+      fallingFor: {
+        arity: 2,
+        evaluate: (args, scope, offset) => this.changedFor(args, scope, offset, (current, previous) => current < previous)
+      },
+      abs: {
+        arity: 1,
+        evaluate: (args, scope, offset) => Math.abs(this.evaluateNode(args[0], scope, offset))
+      },
+      min: {
+        arity: 2,
+        evaluate: (args, scope, offset) => Math.min(
+          this.evaluateNode(args[0], scope, offset),
+          this.evaluateNode(args[1], scope, offset)
+        )
+      },
+      max: {
+        arity: 2,
+        evaluate: (args, scope, offset) => Math.max(
+          this.evaluateNode(args[0], scope, offset),
+          this.evaluateNode(args[1], scope, offset)
+        )
+      }
+    };
+    this.functions.crossesAbove = this.functions.crossover;
+    this.functions.crossesBelow = this.functions.crossunder;
+  }
+
+  // Whether compare(x, x one bar earlier) holds on each of the last n bars; like an invalid
+  // lookback, a bar count that is not a positive whole number never holds
+  changedFor([target, bars], scope, offset, compare) {
+    const count = this.evaluateNode(bars, scope, offset);
+    if (!Number.isInteger(count) || count < 1) return false;
+    for (let k = 0; k < count; k++) {
+      if (!compare(this.evaluateNode(target, scope, offset + k), this.evaluateNode(target, scope, offset + k + 1))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Split an expression into tokens with their column positions
+  tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+      const column = i + 1;
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      if (/[0-9.]/.test(char)) {
+        const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+        if (!match) {
+          throw new ExpressionError(`Unexpected character '${char}'`, column, source);
+        }
+        tokens.push({ type: 'number', value: parseFloat(match[0]), column });
+        i += match[0].length;
+        continue;
+      }
+
+      if (/[A-Za-z_$]/.test(char)) {
+        const match = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*/.exec(source.slice(i));
+        const word = match[0];
+        const lower = word.toLowerCase();
+
+        if (lower === 'and' || lower === 'or' || lower === 'not') {
+          tokens.push({ type: 'operator', value: lower, column });
+        } else if (lower === 'true' || lower === 'false') {
+          tokens.push({ type: 'boolean', value: lower === 'true', column });
+        } else {
+          tokens.push({ type: 'identifier', value: word, column });
+        }
+        i += word.length;
+        continue;
+      }
+
+      const twoChars = source.slice(i, i + 2);
+      if (['<=', '>=', '==', '!=', '&&', '||'].includes(twoChars)) {
+        const aliases = { '&&': 'and', '||': 'or' };
+        tokens.push({ type: 'operator', value: aliases[twoChars] || twoChars, column });
+        i += 2;
+        continue;
+      }
+
+      if ('+-*/%<>!='.includes(char)) {
+        const aliases = { '!': 'not', '=': '==' };
+        tokens.push({ type: 'operator', value: aliases[char] || char, column });
+        i++;
+        continue;
+      }
+
+      if ('()[],'.includes(char)) {
+        tokens.push({ type: 'punctuation', value: char, column });
+        i++;
+        continue;
+      }
+
+      throw new ExpressionError(`Unexpected character '${char}'`, column, source);
+    }
+
+    tokens.push({ type: 'end', value: null, column: source.length + 1 });
+    return tokens;
+  }
+
+  // Parse an expression into an AST (results are cached per source string)
+  parse(source) {
+    if (typeof source !== 'string') {
+      throw new ExpressionError('Expression must be a string', 0, source);
+    }
+    if (this.cache.has(source)) {
+      return this.cache.get(source);
+    }
+
+    const tokens = this.tokenize(source);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+    const isPunctuation = value => peek().type === 'punctuation' && peek().value === value;
+    const describe = token => token.type === 'end' ? 'end of expression' : `'${token.value}'`;
+
+    const expect = value => {
+      if (!isPunctuation(value)) {
+        throw new ExpressionError(`Expected '${value}' but found ${describe(peek())}`, peek().column, source);
+      }
+      return next();
+    };
+
+    const binary = (parseOperand, operators) => () => {
+      let left = parseOperand();
+      while (isOperator(...operators)) {
+        const operator = next();
+        const right = parseOperand();
+        left = { type: 'binary', operator: operator.value, left, right, column: operator.column };
+      }
+      return left;
+    };
+
+    let parseOr;
+
+    const parsePrimary = () => {
+      const token = peek();
+
+      if (token.type === 'number' || token.type === 'boolean') {
+        next();
+        return { type: 'literal', value: token.value, column: token.column };
+      }
+
+      if (token.type === 'identifier') {
+        next();
+        if (isPunctuation('(')) {
+          next();
+          const args = [];
+          if (!isPunctuation(')')) {
+            args.push(parseOr());
+            while (isPunctuation(',')) {
+              next();
+              args.push(parseOr());
+            }
+          }
+          expect(')');
+
+          const fn = this.functions[token.value];
+          if (!fn) {
+            throw new ExpressionError(`Unknown function '${token.value}'`, token.column, source);
+          }
+          if (fn.arity !== args.length) {
+            throw new ExpressionError(
+              `Function '${token.value}' expects ${fn.arity} argument(s) but got ${args.length}`,
+              token.column,
+              source
+            );
+          }
+          return { type: 'call', name: token.value, args, column: token.column };
+        }
+        return { type: 'identifier', name: token.value, column: token.column };
+      }
+
+      if (isPunctuation('(')) {
+        next();
+        const inner = parseOr();
+        expect(')');
+        return inner;
+      }
+
+      throw new ExpressionError(`Unexpected ${describe(token)}`, token.column, source);
+    };
+
+    const parsePostfix = () => {
+      let node = parsePrimary();
+      while (isPunctuation('[')) {
+        const bracket = next();
+        const offset = parseOr();
+        expect(']');
+        node = { type: 'history', target: node, offset, column: bracket.column };
+      }
+      return node;
+    };
+
+    const parseUnary = () => {
+      if (isOperator('-', '+')) {
+        const operator = next();
+        return { type: 'unary', operator: operator.value, operand: parseUnary(), column: operator.column };
+      }
+      return parsePostfix();
+    };
+
+    const parseMultiplicative = binary(parseUnary, ['*', '/', '%']);
+    const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+
+    const parseComparison = () => {
+      const left = parseAdditive();
+      if (isOperator('<', '<=', '>', '>=', '==', '!=')) {
+        const operator = next();
+        const right = parseAdditive();
+        return { type: 'binary', operator: operator.value, left, right, column: operator.column };
+      }
+      return left;
+    };
+
+    const parseNot = () => {
+      if (isOperator('not')) {
+        const operator = next();
+        return { type: 'unary', operator: 'not', operand: parseNot(), column: operator.column };
+      }
+      return parseComparison();
+    };
+
+    const parseAnd = binary(parseNot, ['and']);
+    parseOr = binary(parseAnd, ['or']);
+
+    if (peek().type === 'end') {
+      throw new ExpressionError('Expression is empty', peek().column, source);
+    }
+
+    const ast = parseOr();
+    if (peek().type !== 'end') {
+      throw new ExpressionError(`Unexpected ${describe(peek())}`, peek().column, source);
+    }
+
+    this.cache.set(source, ast);
+    return ast;
+  }
+
+  // Check an expression without evaluating it
+  validate(source) {
+    try {
+      this.parse(source);
+      return { valid: true, errors: [] };
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      return {
+        valid: false,
+        errors: [{ message: error.reason, column: error.column, expression: source }]
+      };
+    }
+  }
+
+  // List identifiers referenced by an expression, with the column of their first use
+  identifiers(source) {
+    const found = new Map();
+    const visit = node => {
+      switch (node.type) {
+        case 'identifier':
+          if (!found.has(node.name)) found.set(node.name, node.column);
+          break;
+        case 'binary':
+          visit(node.left);
+          visit(node.right);
+          break;
+        case 'unary':
+          visit(node.operand);
+          break;
+        case 'history':
+          visit(node.target);
+          visit(node.offset);
+          break;
+        case 'call':
+          node.args.forEach(visit);
+          break;
+      }
+    };
+
+    visit(typeof source === 'string' ? this.parse(source) : source);
+    return Array.from(found, ([name, column]) => ({ name, column }));
+  }
+
+  // Evaluate an expression (string or parsed AST) against a scope
+  // The scope must implement resolve(name, offset), where offset counts bars back
+  evaluate(source, scope) {
+    const ast = typeof source === 'string' ? this.parse(source) : source;
+    return this.evaluateNode(ast, scope, 0);
+  }
+
+  // Evaluate a single AST node at the given lookback offset
+  evaluateNode(node, scope, offset) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'identifier': {
+        const value = scope.resolve(node.name, offset);
+        return value === null || value === undefined ? NaN : value;
+      }
+
+      case 'history': {
+        const lookback = this.evaluateNode(node.offset, scope, offset);
+        if (!Number.isInteger(lookback) || lookback < 0) {
+          return NaN;
+        }
+        return this.evaluateNode(node.target, scope, offset + lookback);
+      }
+
+      case 'call':
+        return this.functions[node.name].evaluate(node.args, scope, offset);
+
+      case 'unary': {
+        const operand = this.evaluateNode(node.operand, scope, offset);
+        if (node.operator === 'not') return !operand;
+        return node.operator === '-' ? -operand : +operand;
+      }
+
+      case 'binary': {
+        if (node.operator === 'and') {
+          return Boolean(this.evaluateNode(node.left, scope, offset)) &&
+            Boolean(this.evaluateNode(node.right, scope, offset));
+        }
+        if (node.operator === 'or') {
+          return Boolean(this.evaluateNode(node.left, scope, offset)) ||
+            Boolean(this.evaluateNode(node.right, scope, offset));
+        }
+
+        const left = this.evaluateNode(node.left, scope, offset);
+        const right = this.evaluateNode(node.right, scope, offset);
+        switch (node.operator) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return left / right;
+          case '%': return left % right;
+          case '<': return left < right;
+          case '<=': return left <= right;
+          case '>': return left > right;
+          case '>=': return left >= right;
+          case '==': return left === right;
+          case '!=': return left !== right;
+        }
+      }
+    }
+
+    throw new ExpressionError(`Cannot evaluate node '${node.type}'`, node.column);
+  }
+};
+
+StrategyExpression.ExpressionError = ExpressionError;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StrategyExpression;
+}
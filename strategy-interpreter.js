@@ -1,11 +1,32 @@
 // Strategy Interpreter - Handles custom trading strategy logic
-class StrategyInterpreter {
-  constructor() {
+
+if (typeof module !== 'undefined' && module.exports) {
+  var StrategyExpression = require('./strategy-expression.js');
+  var { Indicators } = require('./indicators.js');
+  var CandleIO = require('./candle-io.js');
+  var CandleResampler = require('./candle-resampler.js');
+}
+
+var StrategyInterpreter = class StrategyInterpreter {
+  constructor(options = {}) {
+    this.logging = options.logging !== false;
+    this.onProgress = options.onProgress || null;
+    this.params = {};
     this.indicators = {};
     this.data = [];
     this.trades = [];
     this.buyMarkers = [];
     this.sellMarkers = [];
+    this.execution = null;
+    this.risk = null;
+    this.position = null;
+    this.cash = 0;
+    this.peakEquity = 0;
+    this.equityCurve = [];
+    this.conditions = null;
+    this.pendingOrders = [];
+    this.expressions = new StrategyExpression();
+    this.compiledConditions = {};
   }
 
   // Parse and execute strategy from string or object
@@ -18,25 +39,29 @@ class StrategyInterpreter {
     throw new Error('Invalid strategy format');
   }
 
-  // Parse strategy from string (for future use)
+  // Parse strategy from a JSON string whose conditions are expression strings
   parseStringStrategy(strategyString) {
-    // This can be extended to parse natural language or custom syntax
-    // For now, we'll use JSON-like format
+    let strategy;
     try {
-      const strategy = JSON.parse(strategyString);
-      return this.executeStrategy(strategy);
+      strategy = JSON.parse(strategyString);
     } catch (error) {
-      throw new Error('Invalid strategy string format');
+      throw new Error(`Invalid strategy string format: ${error.message}`);
     }
+    return this.executeStrategy(strategy);
   }
 
   // Execute strategy object
   executeStrategy(strategy) {
     this.reset();
+    strategy = this.applyParameters(strategy);
     this.data = strategy.data || [];
     
-    // Calculate indicators
+    // Calculate indicators, then the higher-timeframe ones aligned to these bars
     this.calculateIndicators(strategy);
+    this.calculateTimeframeIndicators(strategy);
+
+    // Parse string conditions up front so syntax errors surface before any trades
+    this.compileConditions(strategy);
     
     // Execute trading logic
     this.executeTradingLogic(strategy);
@@ -49,24 +74,70 @@ class StrategyInterpreter {
       buyMarkers: this.buyMarkers,
       sellMarkers: this.sellMarkers,
       stats: stats,
+      equityCurve: this.equityCurve,
+      execution: this.execution,
+      params: this.params,
+      indicatorConfig: strategy.indicators,
       strategyName: strategy.name || 'Custom Strategy'
     };
   }
 
+  // Write progress output unless logging is disabled (e.g. for optimization runs)
+  log(...args) {
+    if (this.logging) {
+      console.log(...args);
+    }
+  }
+
+  // Resolve parameter values (declared defaults overridden by strategy.params) and
+  // substitute '$name' references in the indicator, risk and execution settings
+  applyParameters(strategy) {
+    const params = { ...StrategyInterpreter.getParameterDefaults(strategy.parameters), ...strategy.params };
+    this.params = params;
+    if (Object.keys(params).length === 0) return strategy;
+
+    const substitute = value => {
+      if (typeof value === 'string' && value.startsWith('$')) {
+        const name = value.slice(1);
+        if (!(name in params)) {
+          throw new Error(`Unknown parameter reference: ${value}`);
+        }
+        return params[name];
+      }
+      if (Array.isArray(value)) {
+        return value.map(substitute);
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item)]));
+      }
+      return value;
+    };
+
+    return {
+      ...strategy,
+      indicators: substitute(strategy.indicators),
+      risk: substitute(strategy.risk),
+      execution: substitute(strategy.execution),
+      timeframes: substitute(strategy.timeframes)
+    };
+  }
+
   // Calculate all required indicators
   calculateIndicators(strategy) {
     this.indicators = {};
 
-    // Moving Averages
+    // Moving Averages (plain periods, or { key, period } entries for named averages)
     if (strategy.indicators?.sma) {
-      strategy.indicators.sma.forEach(period => {
-        this.indicators[`sma${period}`] = this.calculateSMA(period);
+      strategy.indicators.sma.forEach(entry => {
+        const { key, period } = StrategyInterpreter.getMovingAverageEntry('sma', entry);
+        this.indicators[key] = this.calculateSMA(period);
       });
     }
 
     if (strategy.indicators?.ema) {
-      strategy.indicators.ema.forEach(period => {
-        this.indicators[`ema${period}`] = this.calculateEMA(period);
+      strategy.indicators.ema.forEach(entry => {
+        const { key, period } = StrategyInterpreter.getMovingAverageEntry('ema', entry);
+        this.indicators[key] = this.calculateEMA(period);
       });
     }
 
@@ -104,122 +175,590 @@ class StrategyInterpreter {
     if (strategy.indicators?.volume) {
       this.indicators.volumeSMA = this.calculateVolumeSMA(strategy.indicators.volume.period || 20);
     }
+
+    // Any other registered indicator, declared by name with its options (e.g. adx: { period: 14 })
+    // and stored under the value names of its outputs
+    StrategyInterpreter.getRegisteredIndicators(strategy).forEach(name => {
+      Object.assign(this.indicators, this.calculateRegisteredIndicator(name, strategy.indicators[name]));
+    });
+  }
+
+  // Calculate a registered indicator; returns its series keyed by value name
+  calculateRegisteredIndicator(name, config) {
+    const outputs = Indicators.get(name).outputs;
+    const result = Indicators.calculate(name, this.data, config);
+    if (Indicators.isSingleOutput(outputs)) {
+      return { [outputs.value]: result };
+    }
+
+    const series = {};
+    Object.keys(outputs).forEach(output => {
+      series[outputs[output]] = result[output];
+    });
+    return series;
+  }
+
+  // Calculate indicators on higher timeframes declared as
+  //   timeframes: { h1: { interval: '1h', indicators: { rsi: { period: 14 } } } }
+  // Each timeframe's bars come from timeframe.data or are resampled from the strategy data.
+  // Values are stored under namespaced keys ('h1.rsi', 'h1.close', ...) and a bar only becomes
+  // visible on the first base bar that closes at or after its own close, so there is no lookahead.
+  calculateTimeframeIndicators(strategy) {
+    const timeframes = strategy.timeframes || {};
+    const names = Object.keys(timeframes);
+    if (names.length === 0 || this.data.length === 0) return;
+
+    const baseData = this.data;
+    const baseIndicators = this.indicators;
+    const baseSeconds = strategy.interval
+      ? CandleIO.intervalToSeconds(strategy.interval)
+      : CandleIO.detectIntervalSeconds(baseData);
+
+    try {
+      names.forEach(name => {
+        const timeframe = timeframes[name];
+        if (!timeframe.interval) {
+          throw new Error(`Timeframe '${name}' needs an interval`);
+        }
+
+        const seconds = CandleIO.intervalToSeconds(timeframe.interval);
+        if (baseSeconds && seconds % baseSeconds !== 0) {
+          throw new Error(`Timeframe '${name}' (${timeframe.interval}) is not a multiple of the strategy's bar interval`);
+        }
+
+        // Indicators are calculated on the higher-timeframe bars with the same code as the base series;
+        // a resampled first bar is dropped unless the data starts on its boundary
+        let bars = timeframe.data || new CandleResampler(timeframe.interval).resample(baseData);
+        if (!timeframe.data && bars.length > 0 && bars[0].time !== baseData[0].time) {
+          bars = bars.slice(1);
+        }
+        this.data = bars;
+        this.indicators = {};
+        if (bars.length > 0) {
+          this.calculateIndicators({ indicators: timeframe.indicators || {} });
+        }
+        const series = this.indicators;
+        StrategyInterpreter.TIMEFRAME_FIELDS.forEach(field => {
+          series[field] = bars.map(bar => bar[field]);
+        });
+
+        // Index of the newest completed higher-timeframe bar at each base bar
+        const visible = [];
+        let j = -1;
+        baseData.forEach(candle => {
+          while (j + 1 < bars.length && bars[j + 1].time + seconds <= candle.time + baseSeconds) j++;
+          visible.push(j);
+        });
+
+        Object.keys(series).forEach(key => {
+          baseIndicators[`${name}.${key}`] = visible.map(index => index === -1 ? null : series[key][index]);
+        });
+      });
+    } finally {
+      this.data = baseData;
+      this.indicators = baseIndicators;
+    }
   }
 
   // Execute trading logic
   executeTradingLogic(strategy) {
-    let inPosition = false;
-    let entryPrice = 0;
-    let entryTime = 0;
+    this.startTrading(strategy);
 
-    const startIndex = this.getStartIndex(strategy);
+    // Bars before strategy.startTime only warm up the indicators
+    const startIndex = Math.max(this.getStartIndex(strategy), this.getFirstTradingIndex(strategy));
     
-    console.log(`Starting trading logic from index ${startIndex} with ${this.data.length} data points`);
+    this.log(`Starting trading logic from index ${startIndex} with ${this.data.length} data points`);
     
     for (let i = startIndex; i < this.data.length; i++) {
-      const currentData = this.data[i];
-      const indicatorValues = this.getIndicatorValues(i);
-
-      // Evaluate conditions
-      const buyCondition = this.evaluateCondition(strategy.conditions.buy, indicatorValues, i);
-      const sellCondition = this.evaluateCondition(strategy.conditions.sell, indicatorValues, i);
-
-      // Check for buy signal (not in position and buy condition is true)
-      if (!inPosition && buyCondition) {
-        console.log(`BUY signal at index ${i}, time ${currentData.time}, price ${currentData.close}`);
-        
-        this.trades.push({
-          time: currentData.time,
-          action: 'BUY',
-          price: currentData.close,
-          index: i
-        });
+      this.processBar(i);
+      if (this.onProgress) {
+        this.onProgress(i - startIndex + 1, this.data.length - startIndex);
+      }
+    }
 
-        this.buyMarkers.push({
-          time: currentData.time,
-          position: 'belowBar',
-          color: 'green',
-          shape: 'arrowUp',
-          text: 'Buy',
-          size: 1
-        });
+    this.log(`Trading logic completed. Total trades: ${this.trades.length}, Buy markers: ${this.buyMarkers.length}, Sell markers: ${this.sellMarkers.length}`);
+  }
+
+  // Set up the account and order state before the first bar is processed
+  startTrading(strategy) {
+    this.execution = this.resolveExecution(strategy);
+    this.conditions = this.resolveConditions(strategy);
+    this.risk = this.resolveRisk(strategy);
+    this.cash = this.execution.initialCapital;
+    this.peakEquity = this.execution.initialCapital;
+    this.position = null;
+    this.pendingOrders = [];
+  }
+
+  // Run one bar: pending fills, protective exits, signals and the equity point
+  // Used for every bar of a backtest and for each newly closed bar when paper trading
+  processBar(i) {
+    const currentData = this.data[i];
+
+    // Fill orders signalled on the previous bar at this bar's open
+    this.pendingOrders.forEach(order => this.fillOrder(order, i, currentData.open));
+    this.pendingOrders = [];
+
+    // Protective exits trigger inside the bar, before the close-based signals
+    this.checkRiskExits(i);
+
+    const indicatorValues = this.getIndicatorValues(i);
+    const orders = this.getOrders(this.conditions, indicatorValues, i);
+
+    if (this.execution.fillOn === 'nextOpen') {
+      // Signals on the final bar have no next bar to fill on and are dropped
+      this.pendingOrders = orders;
+    } else {
+      orders.forEach(order => this.fillOrder(order, i, currentData.close));
+    }
+
+    // Optionally flatten on the final bar so every trade in the run is complete
+    if (this.execution.closeAtEnd && this.position && i === this.data.length - 1) {
+      this.closePosition(i, currentData.close, i, 'endOfData');
+    }
 
-        inPosition = true;
-        entryPrice = currentData.close;
-        entryTime = currentData.time;
+    this.recordEquity(i);
+  }
+
+  // Map legacy buy/sell conditions onto the directional condition names
+  resolveConditions(strategy) {
+    const conditions = strategy.conditions || {};
+    return {
+      enterLong: conditions.enterLong || conditions.buy,
+      exitLong: conditions.exitLong || conditions.sell,
+      enterShort: conditions.enterShort,
+      exitShort: conditions.exitShort
+    };
+  }
+
+  // Decide which orders the current bar's signals produce, given the open position
+  // Entering the opposite direction reverses the position: exit first, then enter
+  getOrders(conditions, indicatorValues, index) {
+    const signal = name => Boolean(conditions[name]) && Boolean(this.evaluateCondition(conditions[name], indicatorValues, index));
+    const direction = this.position ? this.position.direction : null;
+
+    if (direction === 'long') {
+      if (signal('enterShort')) {
+        return [{ type: 'exit', reason: 'reversal', signalIndex: index }, { type: 'entry', direction: 'short', signalIndex: index }];
       }
-      
-      // Check for sell signal (in position and sell condition is true)
-      else if (inPosition && sellCondition) {
-        console.log(`SELL signal at index ${i}, time ${currentData.time}, price ${currentData.close}, profit: ${currentData.close - entryPrice}`);
-        
-        this.trades.push({
-          time: currentData.time,
-          action: 'SELL',
-          price: currentData.close,
-          index: i,
-          profit: currentData.close - entryPrice,
-          profitPercent: ((currentData.close - entryPrice) / entryPrice) * 100
-        });
+      return signal('exitLong') ? [{ type: 'exit', signalIndex: index }] : [];
+    }
 
-        this.sellMarkers.push({
-          time: currentData.time,
-          position: 'aboveBar',
-          color: 'red',
-          shape: 'arrowDown',
-          text: 'Sell',
-          size: 1
-        });
+    if (direction === 'short') {
+      if (signal('enterLong')) {
+        return [{ type: 'exit', reason: 'reversal', signalIndex: index }, { type: 'entry', direction: 'long', signalIndex: index }];
+      }
+      return signal('exitShort') ? [{ type: 'exit', signalIndex: index }] : [];
+    }
+
+    if (signal('enterLong')) {
+      return [{ type: 'entry', direction: 'long', signalIndex: index }];
+    }
+    if (signal('enterShort')) {
+      return [{ type: 'entry', direction: 'short', signalIndex: index }];
+    }
+    return [];
+  }
+
+  // Fill an entry or exit order at the given raw price
+  fillOrder(order, index, rawPrice) {
+    if (order.type === 'entry' && !this.position) {
+      this.openPosition(index, rawPrice, order.signalIndex, order.direction);
+    } else if (order.type === 'exit' && this.position) {
+      this.closePosition(index, rawPrice, order.signalIndex, order.reason);
+    }
+  }
+
+  // Normalize the strategy's risk exits; returns null when none are configured
+  resolveRisk(strategy) {
+    const risk = strategy.risk;
+    if (!risk) return null;
+
+    const rules = ['stopLoss', 'takeProfit', 'trailingStop'];
+    const usesATR = rules.some(rule => risk[rule] && risk[rule].type === 'atr');
+    const atrPeriod = risk.atrPeriod || 14;
+
+    rules.forEach(rule => {
+      if (risk[rule] && !['percent', 'fixed', 'atr'].includes(risk[rule].type)) {
+        throw new Error(`Unknown ${rule} type: ${risk[rule].type}`);
+      }
+    });
+
+    return {
+      stopLoss: risk.stopLoss || null,
+      takeProfit: risk.takeProfit || null,
+      trailingStop: risk.trailingStop || null,
+      maxBarsInTrade: risk.maxBarsInTrade || null,
+      intrabarPriority: risk.intrabarPriority || 'stopFirst',
+      atrPeriod: atrPeriod,
+      atr: usesATR ? this.calculateATR(atrPeriod) : null
+    };
+  }
+
+  // Price distance of a risk rule from a reference price
+  // percent: value% of the price, fixed: value in price units, atr: value x the given ATR
+  getRiskDistance(rule, price, atr) {
+    switch (rule.type) {
+      case 'percent':
+        return price * rule.value / 100;
+      case 'fixed':
+        return rule.value;
+      case 'atr':
+        return (atr || 0) * rule.value;
+    }
+    return 0;
+  }
+
+  // Fix the stop and target levels of a newly opened position
+  setRiskLevels(position) {
+    const risk = this.risk;
+    if (!risk) return;
+
+    const sign = position.direction === 'long' ? 1 : -1;
+    // The ATR known when the order was placed; the fill bar's own ATR is not known at its open
+    const atr = risk.atr ? risk.atr[position.signalIndex] : null;
+
+    if (risk.stopLoss) {
+      position.stopPrice = position.entryPrice - sign * this.getRiskDistance(risk.stopLoss, position.entryPrice, atr);
+    }
+    if (risk.takeProfit) {
+      position.targetPrice = position.entryPrice + sign * this.getRiskDistance(risk.takeProfit, position.entryPrice, atr);
+    }
+    if (risk.trailingStop) {
+      position.trailATR = atr;
+    }
+    position.bestPrice = position.entryPrice;
+  }
+
+  // The tighter of the fixed stop and the trailing stop, with the reason it would exit
+  getActiveStop(position) {
+    const isLong = position.direction === 'long';
+    const stops = [];
+
+    if (position.stopPrice !== undefined) {
+      stops.push({ price: position.stopPrice, reason: 'stopLoss' });
+    }
+    if (this.risk.trailingStop) {
+      const distance = this.getRiskDistance(this.risk.trailingStop, position.bestPrice, position.trailATR);
+      stops.push({ price: position.bestPrice + (isLong ? -distance : distance), reason: 'trailingStop' });
+    }
+    if (stops.length === 0) return null;
 
-        inPosition = false;
+    return stops.reduce((tightest, stop) =>
+      (isLong ? stop.price > tightest.price : stop.price < tightest.price) ? stop : tightest
+    );
+  }
+
+  // Exit the position if a stop, target or time limit is hit within this bar
+  // Levels come from prior bars; when both stop and target lie inside one bar the
+  // risk.intrabarPriority rule decides: 'stopFirst' (default), 'targetFirst' or 'nearestToOpen'
+  checkRiskExits(index) {
+    const position = this.position;
+    if (!position || !this.risk) return;
+
+    // A position filled at this bar's close has not yet seen the bar's range
+    if (position.entryIndex === index && !position.filledAtOpen) return;
+
+    const bar = this.data[index];
+    const isLong = position.direction === 'long';
+    const stop = this.getActiveStop(position);
+    const target = position.targetPrice !== undefined ? { price: position.targetPrice, reason: 'takeProfit' } : null;
+
+    const stopHit = stop && (isLong ? bar.low <= stop.price : bar.high >= stop.price);
+    const targetHit = target && (isLong ? bar.high >= target.price : bar.low <= target.price);
+
+    let exit = null;
+    if (stopHit && targetHit) {
+      const priority = this.risk.intrabarPriority;
+      if (priority === 'targetFirst') {
+        exit = target;
+      } else if (priority === 'nearestToOpen') {
+        exit = Math.abs(bar.open - stop.price) <= Math.abs(bar.open - target.price) ? stop : target;
+      } else {
+        exit = stop;
       }
+    } else if (stopHit) {
+      exit = stop;
+    } else if (targetHit) {
+      exit = target;
+    }
+
+    if (exit) {
+      // A bar that opens beyond the level gaps through it and fills at the open
+      const worse = exit === stop ? (isLong ? Math.min : Math.max) : (isLong ? Math.max : Math.min);
+      this.closePosition(index, worse(bar.open, exit.price), index, exit.reason);
+      return;
     }
 
-    console.log(`Trading logic completed. Total trades: ${this.trades.length}, Buy markers: ${this.buyMarkers.length}, Sell markers: ${this.sellMarkers.length}`);
+    position.bestPrice = isLong ? Math.max(position.bestPrice, bar.high) : Math.min(position.bestPrice, bar.low);
+
+    if (this.risk.maxBarsInTrade && index - position.entryIndex >= this.risk.maxBarsInTrade) {
+      this.closePosition(index, bar.close, index, 'maxBars');
+    }
+  }
+
+  // Merge the strategy's execution settings over the defaults
+  resolveExecution(strategy) {
+    const defaults = StrategyInterpreter.DEFAULT_EXECUTION;
+    const execution = strategy.execution || {};
+    const sizing = { ...defaults.sizing, ...execution.sizing };
+
+    // A mode given without a value gets that mode's default, e.g. 1% risk rather than 100
+    if (!execution.sizing || execution.sizing.value === undefined) {
+      sizing.value = StrategyInterpreter.SIZING_DEFAULTS[sizing.mode] || defaults.sizing.value;
+    }
+
+    return {
+      ...defaults,
+      ...execution,
+      commission: { ...defaults.commission, ...execution.commission },
+      slippage: { ...defaults.slippage, ...execution.slippage },
+      sizing
+    };
+  }
+
+  // Adjust a raw price for slippage against the order's side
+  applySlippage(price, action) {
+    const slippage = this.execution.slippage;
+    const amount = (slippage.ticks || 0) * (slippage.tickSize || 0) + price * (slippage.bps || 0) / 10000;
+    return action === 'BUY' ? price + amount : price - amount;
+  }
+
+  // Commission charged for filling a quantity at a price
+  calculateFee(quantity, price) {
+    const commission = this.execution.commission;
+    return quantity * price * (commission.percent || 0) / 100 + (commission.fixed || 0);
+  }
+
+  // Number of units to trade at the fill price according to the sizing mode, never more than
+  // the cash can pay for with the commission; ATR stops are measured with the ATR of the
+  // signal bar, as in setRiskLevels
+  calculatePositionSize(price, signalIndex) {
+    const { sizing, commission } = this.execution;
+    const equity = this.cash;
+    const affordable = Math.max(equity - (commission.fixed || 0), 0) / (price * (1 + (commission.percent || 0) / 100));
+
+    switch (sizing.mode) {
+      case 'fixedQuantity':
+        return Math.min(sizing.value, affordable);
+
+      case 'fixedNotional':
+        return Math.min(sizing.value / price, affordable);
+
+      case 'risk': {
+        // Risk a percent of equity over the distance to the protective stop
+        const stopDistance = this.risk && this.risk.stopLoss
+          ? this.getRiskDistance(this.risk.stopLoss, price, this.risk.atr ? this.risk.atr[signalIndex] : null)
+          : price * (sizing.stopPercent || 0) / 100;
+        if (!(stopDistance > 0)) {
+          throw new Error('Risk-based sizing requires risk.stopLoss or a positive sizing.stopPercent');
+        }
+        return Math.min((equity * sizing.value / 100) / stopDistance, affordable);
+      }
+
+      case 'percentEquity': {
+        // Leave room for the commission so the order fits the allocated cash
+        const allocation = equity * sizing.value / 100 - (commission.fixed || 0);
+        return Math.min(Math.max(allocation, 0) / (price * (1 + (commission.percent || 0) / 100)), affordable);
+      }
+
+      default:
+        throw new Error(`Unknown sizing mode: ${sizing.mode}`);
+    }
+  }
+
+  // Open a long or short position at the given raw price
+  openPosition(index, rawPrice, signalIndex, direction = 'long') {
+    const bar = this.data[index];
+    const action = direction === 'long' ? 'BUY' : 'SELL';
+    const price = this.applySlippage(rawPrice, action);
+    const quantity = this.calculatePositionSize(price, signalIndex);
+    if (!(quantity > 0)) return;
+
+    const fee = this.calculateFee(quantity, price);
+    // Shorts receive the sale proceeds and owe the shares back on exit
+    this.cash += (direction === 'long' ? -1 : 1) * quantity * price - fee;
+    this.position = {
+      direction,
+      quantity,
+      entryPrice: price,
+      entryTime: bar.time,
+      entryIndex: index,
+      signalIndex,
+      entryFee: fee,
+      // Fills on a later bar than the signal happen at that bar's open
+      filledAtOpen: index !== signalIndex
+    };
+    this.setRiskLevels(this.position);
+
+    this.log(`${action} (${direction} entry) signal at index ${signalIndex}, filled at index ${index}, time ${bar.time}, price ${price}, quantity ${quantity}`);
+
+    this.trades.push({
+      time: bar.time,
+      action: action,
+      direction: direction,
+      type: 'entry',
+      price: price,
+      index: index,
+      signalIndex: signalIndex,
+      quantity: quantity,
+      fee: fee
+    });
+
+    this.addMarker(bar.time, action, direction === 'long' ? 'Buy' : 'Short');
+  }
+
+  // Close the open position at the given raw price, recording why it was closed
+  closePosition(index, rawPrice, signalIndex, reason = 'signal') {
+    const bar = this.data[index];
+    const { direction, quantity, entryPrice, entryFee, entryIndex } = this.position;
+    const action = direction === 'long' ? 'SELL' : 'BUY';
+    const sign = direction === 'long' ? 1 : -1;
+    const price = this.applySlippage(rawPrice, action);
+    const fee = this.calculateFee(quantity, price);
+    const grossProfit = (price - entryPrice) * quantity * sign;
+    const profit = grossProfit - entryFee - fee;
+
+    this.cash += sign * quantity * price - fee;
+    this.position = null;
+
+    this.log(`${action} (${direction} exit, ${reason}) signal at index ${signalIndex}, filled at index ${index}, time ${bar.time}, price ${price}, profit: ${profit}`);
+
+    this.trades.push({
+      time: bar.time,
+      action: action,
+      direction: direction,
+      type: 'exit',
+      exitReason: reason,
+      price: price,
+      index: index,
+      signalIndex: signalIndex,
+      barsHeld: index - entryIndex,
+      quantity: quantity,
+      fee: fee,
+      fees: entryFee + fee,
+      grossProfit: grossProfit,
+      profit: profit,
+      profitPercent: (profit / (entryPrice * quantity)) * 100
+    });
+
+    const riskMarker = StrategyInterpreter.RISK_EXIT_MARKERS[reason];
+    this.addMarker(bar.time, action, direction === 'long' ? 'Sell' : 'Cover', riskMarker);
+  }
+
+  // Add a chart marker for a fill; buys go below the bar, sells above
+  // Risk exits pass a style override so they stand apart from signal exits
+  addMarker(time, action, text, style = null) {
+    if (action === 'BUY') {
+      this.buyMarkers.push({
+        time: time,
+        position: 'belowBar',
+        color: 'green',
+        shape: 'arrowUp',
+        text: text,
+        size: 1,
+        ...style
+      });
+    } else {
+      this.sellMarkers.push({
+        time: time,
+        position: 'aboveBar',
+        color: 'red',
+        shape: 'arrowDown',
+        text: text,
+        size: 1,
+        ...style
+      });
+    }
+  }
+
+  // Parse string conditions and check that every identifier they use can be resolved
+  // Throws an ExpressionError (with column and condition name) on the first problem found
+  compileConditions(strategy) {
+    this.compiledConditions = {};
+
+    Object.keys(strategy.conditions || {}).forEach(name => {
+      const condition = strategy.conditions[name];
+      if (typeof condition !== 'string') return;
+
+      try {
+        const ast = this.expressions.parse(condition);
+        this.expressions.identifiers(ast).forEach(({ name: identifier, column }) => {
+          if (!this.isKnownIdentifier(identifier)) {
+            throw new StrategyExpression.ExpressionError(`Unknown identifier '${identifier}'`, column, condition);
+          }
+        });
+        this.compiledConditions[condition] = ast;
+      } catch (error) {
+        if (error instanceof StrategyExpression.ExpressionError) {
+          error.condition = name;
+          error.message = `Condition '${name}': ${error.message}`;
+        }
+        throw error;
+      }
+    });
+  }
+
+  // Check whether an identifier refers to price data or a calculated indicator
+  isKnownIdentifier(name) {
+    if (name.startsWith('params.')) {
+      return name.slice('params.'.length) in this.params;
+    }
+    const key = name.startsWith('values.') ? name.slice('values.'.length) : name;
+    return StrategyInterpreter.PRICE_FIELDS.includes(key) || key === 'index' || key in this.indicators;
   }
 
   // Evaluate condition function or expression
+  // Functions are called as (values, data, index, params, signals); see createSignalHelpers
   evaluateCondition(condition, indicatorValues, index) {
     if (typeof condition === 'function') {
-      return condition(indicatorValues, this.data, index);
+      return condition(indicatorValues, this.data, index, this.params, this.createSignalHelpers(index));
     } else if (typeof condition === 'string') {
       return this.evaluateExpression(condition, indicatorValues, index);
     }
     return false;
   }
 
-  // Evaluate mathematical/logical expressions
+  // Evaluate a condition expression at the given bar
   evaluateExpression(expression, indicatorValues, index) {
-    // Create a safe evaluation context
-    const context = {
-      ...indicatorValues,
-      price: this.data[index].close,
-      high: this.data[index].high,
-      low: this.data[index].low,
-      open: this.data[index].open,
-      index: index
-    };
+    const ast = this.compiledConditions[expression] || this.expressions.parse(expression);
+    return Boolean(this.expressions.evaluate(ast, this.createExpressionScope(index)));
+  }
 
-    try {
-      // Replace indicator names with values
-      let evalExpression = expression;
-      Object.keys(context).forEach(key => {
-        evalExpression = evalExpression.replace(new RegExp(key, 'g'), context[key]);
-      });
+  // Build the scope used to resolve expression identifiers, with lookback support
+  createExpressionScope(index) {
+    return {
+      resolve: (name, offset) => {
+        if (name.startsWith('params.')) {
+          return this.params[name.slice('params.'.length)];
+        }
 
-      return eval(evalExpression);
-    } catch (error) {
-      console.error('Error evaluating expression:', expression, error);
-      return false;
-    }
+        const key = name.startsWith('values.') ? name.slice('values.'.length) : name;
+        const i = index - offset;
+        if (i < 0 || i >= this.data.length) return NaN;
+
+        if (key === 'index') return i;
+        if (key === 'price') return this.data[i].close;
+        if (StrategyInterpreter.PRICE_FIELDS.includes(key)) return this.data[i][key];
+        if (this.indicators[key]) return this.indicators[key][i];
+        return NaN;
+      }
+    };
   }
 
-  // Get indicator values for current index
+  // Get indicator values for current index; higher-timeframe keys like 'h1.rsi' are nested as values.h1.rsi
   getIndicatorValues(index) {
     const values = {};
     Object.keys(this.indicators).forEach(key => {
       if (this.indicators[key] && this.indicators[key][index] !== undefined) {
-        values[key] = this.indicators[key][index];
+        const separator = key.indexOf('.');
+        if (separator === -1) {
+          values[key] = this.indicators[key][index];
+        } else {
+          const namespace = key.slice(0, separator);
+          values[namespace] = values[namespace] || {};
+          values[namespace][key.slice(separator + 1)] = this.indicators[key][index];
+        }
       }
     });
     return values;
@@ -227,13 +766,52 @@ class StrategyInterpreter {
 
   // Get indicator values for previous index
   getPreviousIndicatorValues(index) {
-    if (index <= 0) return {};
-    return this.getIndicatorValues(index - 1);
+    return this.getIndicatorValuesAgo(index, 1);
+  }
+
+  // Get indicator values the given number of bars before index ({} before the first bar)
+  getIndicatorValuesAgo(index, bars) {
+    if (index - bars < 0) return {};
+    return this.getIndicatorValues(index - bars);
+  }
+
+  // Edge-detection helpers for function conditions, matching the expression functions.
+  // Operands are value names ('fastMA', 'close', 'h1.rsi', 'params.oversold') or numbers:
+  //   buy: (values, data, index, params, signals) => signals.crossesAbove('rsi', params.oversold)
+  createSignalHelpers(index) {
+    const interpreter = this;
+    const scope = this.createExpressionScope(index);
+    const value = (operand, bars = 0) => {
+      const result = typeof operand === 'number' ? operand : scope.resolve(operand, bars);
+      return result === null || result === undefined ? NaN : result;
+    };
+    const changedFor = (operand, bars, compare) => {
+      if (!Number.isInteger(bars) || bars < 1) return false;
+      for (let k = 0; k < bars; k++) {
+        if (!compare(value(operand, k), value(operand, k + 1))) return false;
+      }
+      return true;
+    };
+
+    return {
+      // Indicator values one bar back, shaped like the values argument
+      get previous() {
+        return interpreter.getPreviousIndicatorValues(index);
+      },
+      ago: bars => this.getIndicatorValuesAgo(index, bars),
+      value: value,
+      crossesAbove: (a, b) => value(a) > value(b) && value(a, 1) <= value(b, 1),
+      crossesBelow: (a, b) => value(a) < value(b) && value(a, 1) >= value(b, 1),
+      risingFor: (operand, bars = 1) => changedFor(operand, bars, (current, previous) => current > previous),
+      fallingFor: (operand, bars = 1) => changedFor(operand, bars, (current, previous) => current < previous)
+    };
   }
 
-  // Check if this is a crossover (condition changed from false to true)
-  isCrossover(currentCondition, previousCondition) {
-    return currentCondition && !previousCondition;
+  // Index of the first bar at or after strategy.startTime (0 when not set)
+  getFirstTradingIndex(strategy) {
+    if (strategy.startTime === undefined || strategy.startTime === null) return 0;
+    const index = this.data.findIndex(candle => candle.time >= strategy.startTime);
+    return index === -1 ? this.data.length : index;
   }
 
   // Get starting index based on strategy requirements
@@ -241,10 +819,10 @@ class StrategyInterpreter {
     const periods = [];
     
     if (strategy.indicators?.sma) {
-      periods.push(...strategy.indicators.sma);
+      periods.push(...strategy.indicators.sma.map(entry => StrategyInterpreter.getMovingAverageEntry('sma', entry).period));
     }
     if (strategy.indicators?.ema) {
-      periods.push(...strategy.indicators.ema);
+      periods.push(...strategy.indicators.ema.map(entry => StrategyInterpreter.getMovingAverageEntry('ema', entry).period));
     }
     if (strategy.indicators?.rsi) {
       periods.push(strategy.indicators.rsi.period || 14);
@@ -252,70 +830,184 @@ class StrategyInterpreter {
     if (strategy.indicators?.bollinger) {
       periods.push(strategy.indicators.bollinger.period || 20);
     }
+    if (strategy.indicators?.macd) {
+      // The signal line starts once the slow EMA and then the signal EMA have warmed up
+      periods.push((strategy.indicators.macd.slowPeriod || 26) + (strategy.indicators.macd.signalPeriod || 9) - 1);
+    }
+    if (['stopLoss', 'takeProfit', 'trailingStop'].some(rule => strategy.risk?.[rule]?.type === 'atr')) {
+      periods.push(strategy.risk.atrPeriod || 14);
+    }
+
+    // Registered indicators declare their warm-up; without one, wait for every output's first value
+    const pendingKeys = [];
+    StrategyInterpreter.getRegisteredIndicators(strategy).forEach(name => {
+      const warmup = Indicators.getWarmup(name, strategy.indicators[name]);
+      if (warmup !== null) {
+        periods.push(warmup);
+      } else {
+        pendingKeys.push(...Object.values(Indicators.get(name).outputs));
+      }
+    });
+
+    // Higher-timeframe indicators are ready once every aligned series has a value
+    Object.keys(this.indicators).filter(key => key.includes('.') || pendingKeys.includes(key)).forEach(key => {
+      const first = this.indicators[key].findIndex(value => value !== null && value !== undefined);
+      periods.push(first === -1 ? this.data.length : first);
+    });
 
     return Math.max(...periods, 0);
   }
 
-  // Calculate statistics
-  calculateStatistics() {
+  // Calculate trade statistics and equity-based performance metrics
+  // Defaults to the last run, but accepts any trade list and equity curve (e.g. stitched or portfolio results)
+  calculateStatistics(trades = this.trades, equityCurve = this.equityCurve, initialCapital = this.execution ? this.execution.initialCapital : 0) {
+    const exits = trades.filter(trade => trade.type === 'exit');
     const stats = {
-      totalTrades: this.trades.length,
-      buyTrades: this.trades.filter(t => t.action === 'BUY').length,
-      sellTrades: this.trades.filter(t => t.action === 'SELL').length,
+      totalTrades: trades.length,
+      buyTrades: trades.filter(t => t.action === 'BUY').length,
+      sellTrades: trades.filter(t => t.action === 'SELL').length,
       wins: 0,
       losses: 0,
       totalProfit: 0,
       totalProfitPercent: 0,
+      totalFees: 0,
+      longTrades: 0,
+      shortTrades: 0,
+      longProfit: 0,
+      shortProfit: 0,
+      initialCapital: initialCapital,
+      finalEquity: initialCapital,
+      unrealizedProfit: 0,
       maxDrawdown: 0,
+      maxDrawdownPercent: 0,
       winRate: 0,
       avgWin: 0,
-      avgLoss: 0
+      avgLoss: 0,
+      profitFactor: 0,
+      expectancy: 0,
+      avgBarsHeld: 0,
+      longestLosingStreak: 0,
+      exposurePercent: 0,
+      cagr: 0,
+      sharpeRatio: 0,
+      sortinoRatio: 0,
+      calmarRatio: 0,
+      buyAndHoldReturnPercent: 0
     };
 
-    let currentDrawdown = 0;
-    let peak = 0;
-
-    // Calculate profit/loss for each completed trade
-    for (let i = 1; i < this.trades.length; i += 2) {
-      if (i < this.trades.length) {
-        const buy = this.trades[i - 1];
-        const sell = this.trades[i];
-        
-        if (buy.action === 'BUY' && sell.action === 'SELL') {
-          const profit = sell.price - buy.price;
-          const profitPercent = ((sell.price - buy.price) / buy.price) * 100;
-          
-          stats.totalProfit += profit;
-          stats.totalProfitPercent += profitPercent;
-          
-          if (profit > 0) {
-            stats.wins++;
-            stats.avgWin += profit;
-          } else {
-            stats.losses++;
-            stats.avgLoss += Math.abs(profit);
-          }
+    let grossWin = 0;
+    let grossLoss = 0;
+    let losingStreak = 0;
 
-          // Calculate drawdown
-          if (stats.totalProfit > peak) {
-            peak = stats.totalProfit;
-          }
-          currentDrawdown = peak - stats.totalProfit;
-          if (currentDrawdown > stats.maxDrawdown) {
-            stats.maxDrawdown = currentDrawdown;
-          }
-        }
+    stats.totalFees = trades.reduce((sum, trade) => sum + (trade.fee || 0), 0);
+
+    // Net profit/loss is recorded on each closing trade
+    exits.forEach(trade => {
+      const profit = trade.profit;
+
+      stats.totalProfit += profit;
+      stats.avgBarsHeld += trade.barsHeld || 0;
+
+      if (trade.direction === 'short') {
+        stats.shortTrades++;
+        stats.shortProfit += profit;
+      } else {
+        stats.longTrades++;
+        stats.longProfit += profit;
       }
-    }
+
+      if (profit > 0) {
+        stats.wins++;
+        grossWin += profit;
+        losingStreak = 0;
+      } else {
+        stats.losses++;
+        grossLoss += Math.abs(profit);
+        losingStreak++;
+        stats.longestLosingStreak = Math.max(stats.longestLosingStreak, losingStreak);
+      }
+    });
 
     // Calculate averages
-    stats.winRate = stats.wins + stats.losses > 0 ? (stats.wins / (stats.wins + stats.losses)) * 100 : 0;
-    stats.avgWin = stats.wins > 0 ? stats.avgWin / stats.wins : 0;
-    stats.avgLoss = stats.losses > 0 ? stats.avgLoss / stats.losses : 0;
+    stats.totalProfitPercent = initialCapital > 0 ? (stats.totalProfit / initialCapital) * 100 : 0;
+    stats.winRate = exits.length > 0 ? (stats.wins / exits.length) * 100 : 0;
+    stats.avgWin = stats.wins > 0 ? grossWin / stats.wins : 0;
+    stats.avgLoss = stats.losses > 0 ? grossLoss / stats.losses : 0;
+    stats.profitFactor = grossLoss > 0 ? grossWin / grossLoss : (grossWin > 0 ? Infinity : 0);
+    stats.expectancy = exits.length > 0 ? stats.totalProfit / exits.length : 0;
+    stats.avgBarsHeld = exits.length > 0 ? stats.avgBarsHeld / exits.length : 0;
+
+    if (!equityCurve || equityCurve.length === 0) {
+      stats.finalEquity = initialCapital + stats.totalProfit;
+      return stats;
+    }
+
+    // Equity-based metrics
+    const first = equityCurve[0];
+    const last = equityCurve[equityCurve.length - 1];
+    stats.finalEquity = last.equity;
+    stats.unrealizedProfit = last.equity - initialCapital - stats.totalProfit;
+
+    equityCurve.forEach(point => {
+      stats.maxDrawdown = Math.max(stats.maxDrawdown, point.drawdown);
+      stats.maxDrawdownPercent = Math.max(stats.maxDrawdownPercent, point.drawdownPercent);
+    });
+
+    stats.exposurePercent = (equityCurve.filter(point => point.inPosition).length / equityCurve.length) * 100;
+    stats.buyAndHoldReturnPercent = first.close > 0 ? ((last.close - first.close) / first.close) * 100 : 0;
+
+    const years = (last.time - first.time) / StrategyInterpreter.SECONDS_PER_YEAR;
+    if (years > 0 && initialCapital > 0 && last.equity > 0) {
+      stats.cagr = (Math.pow(last.equity / initialCapital, 1 / years) - 1) * 100;
+    }
+    stats.calmarRatio = stats.maxDrawdownPercent > 0 ? stats.cagr / stats.maxDrawdownPercent : 0;
+
+    // Sharpe and Sortino from bar returns, annualized by the typical bar spacing (risk-free rate 0)
+    const returns = [];
+    for (let i = 1; i < equityCurve.length; i++) {
+      const previous = equityCurve[i - 1].equity;
+      returns.push(previous > 0 ? equityCurve[i].equity / previous - 1 : 0);
+    }
+
+    if (returns.length > 1) {
+      const spacing = equityCurve.slice(1).map((point, i) => point.time - equityCurve[i].time).sort((a, b) => a - b);
+      const barSeconds = spacing[Math.floor(spacing.length / 2)];
+      const annualization = barSeconds > 0 ? Math.sqrt(StrategyInterpreter.SECONDS_PER_YEAR / barSeconds) : 1;
+
+      const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+      const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+      const downside = returns.reduce((sum, r) => sum + Math.pow(Math.min(r, 0), 2), 0) / returns.length;
+
+      stats.sharpeRatio = variance > 0 ? (mean / Math.sqrt(variance)) * annualization : 0;
+      stats.sortinoRatio = downside > 0 ? (mean / Math.sqrt(downside)) * annualization : 0;
+    }
 
     return stats;
   }
 
+  // Mark the account to market at the bar's close and append it to the equity curve
+  recordEquity(index) {
+    const bar = this.data[index];
+    let equity = this.cash;
+
+    if (this.position) {
+      const sign = this.position.direction === 'long' ? 1 : -1;
+      equity += sign * this.position.quantity * bar.close;
+    }
+
+    this.peakEquity = Math.max(this.peakEquity, equity);
+    const drawdown = this.peakEquity - equity;
+
+    this.equityCurve.push({
+      time: bar.time,
+      equity: equity,
+      drawdown: drawdown,
+      drawdownPercent: this.peakEquity > 0 ? (drawdown / this.peakEquity) * 100 : 0,
+      close: bar.close,
+      inPosition: Boolean(this.position)
+    });
+  }
+
   // Reset interpreter state
   reset() {
     this.indicators = {};
@@ -323,112 +1015,155 @@ class StrategyInterpreter {
     this.trades = [];
     this.buyMarkers = [];
     this.sellMarkers = [];
+    this.execution = null;
+    this.risk = null;
+    this.position = null;
+    this.cash = 0;
+    this.peakEquity = 0;
+    this.equityCurve = [];
+    this.params = {};
+    this.conditions = null;
+    this.pendingOrders = [];
   }
 
-  // Technical indicator calculations
+  // Technical indicator calculations (see indicators.js; the chart uses the same implementations)
   calculateSMA(period) {
-    const sma = [];
-    for (let i = 0; i < this.data.length; i++) {
-      if (i < period - 1) {
-        sma.push(null);
-      } else {
-        const sum = this.data.slice(i - period + 1, i + 1).reduce((acc, candle) => acc + candle.close, 0);
-        sma.push(sum / period);
-      }
-    }
-    return sma;
+    return Indicators.calculate('sma', this.data, { period });
   }
 
   calculateEMA(period) {
-    const k = 2 / (period + 1);
-    const ema = [];
-    let prevEma = this.data[0].close;
-    
-    for (let i = 0; i < this.data.length; i++) {
-      const close = this.data[i].close;
-      const nextEma = i === 0 ? close : close * k + prevEma * (1 - k);
-      ema.push(nextEma);
-      prevEma = nextEma;
-    }
-    return ema;
+    return Indicators.calculate('ema', this.data, { period });
   }
 
   calculateRSI(period = 14) {
-    const rsi = [];
-    const gains = [];
-    const losses = [];
+    return Indicators.calculate('rsi', this.data, { period });
+  }
 
-    // Calculate price changes
-    for (let i = 1; i < this.data.length; i++) {
-      const change = this.data[i].close - this.data[i - 1].close;
-      gains.push(change > 0 ? change : 0);
-      losses.push(change < 0 ? Math.abs(change) : 0);
-    }
+  calculateMACD(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    return Indicators.calculate('macd', this.data, { fastPeriod, slowPeriod, signalPeriod });
+  }
 
-    // Calculate RSI
-    for (let i = 0; i < this.data.length; i++) {
-      if (i < period) {
-        rsi.push(null);
-      } else {
-        const avgGain = gains.slice(i - period + 1, i + 1).reduce((a, b) => a + b, 0) / period;
-        const avgLoss = losses.slice(i - period + 1, i + 1).reduce((a, b) => a + b, 0) / period;
-        const rs = avgGain / avgLoss;
-        rsi.push(100 - (100 / (1 + rs)));
-      }
-    }
+  calculateBollingerBands(period = 20, stdDev = 2) {
+    return Indicators.calculate('bollinger', this.data, { period, stdDev });
+  }
 
-    return rsi;
+  // Average True Range with Wilder smoothing, seeded by the simple average of the first period
+  calculateATR(period = 14) {
+    return Indicators.calculate('atr', this.data, { period });
   }
 
-  calculateMACD(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
-    const fastEMA = this.calculateEMA(fastPeriod);
-    const slowEMA = this.calculateEMA(slowPeriod);
-    
-    const macdLine = fastEMA.map((fast, i) => fast - slowEMA[i]);
-    const signalLine = this.calculateEMA(signalPeriod, macdLine.map((val, i) => ({ close: val })));
-    const histogram = macdLine.map((macd, i) => macd - signalLine[i]);
+  calculateVolumeSMA(period = 20) {
+    return Indicators.calculate('sma', this.data, { period, source: 'volume' });
+  }
+};
+
+// Default execution model: fill at the signal bar's close, no costs, whole account per trade
+StrategyInterpreter.DEFAULT_EXECUTION = {
+  initialCapital: 10000,
+  fillOn: 'close',                                  // 'close' (signal bar) or 'nextOpen'
+  closeAtEnd: false,                                // close any open position on the last bar
+  commission: { percent: 0, fixed: 0 },             // percent of notional plus fixed amount per fill
+  slippage: { ticks: 0, tickSize: 0, bps: 0 },      // adverse price adjustment per fill
+  sizing: { mode: 'percentEquity', value: 100 }     // fixedQuantity | fixedNotional | percentEquity | risk
+};
 
-    return { macd: macdLine, signal: signalLine, histogram };
+// Sizing value used when a mode is given without one
+StrategyInterpreter.SIZING_DEFAULTS = {
+  percentEquity: 100,   // percent of equity
+  risk: 1               // percent of equity lost if the stop is hit
+};
+
+// Marker styles for exits triggered by risk rules rather than strategy conditions
+StrategyInterpreter.RISK_EXIT_MARKERS = {
+  stopLoss: { color: '#FF9800', shape: 'square', text: 'SL' },
+  takeProfit: { color: '#00BCD4', shape: 'circle', text: 'TP' },
+  trailingStop: { color: '#FFC107', shape: 'square', text: 'TS' },
+  maxBars: { color: '#9E9E9E', shape: 'circle', text: 'Time' }
+};
+
+// Normalize a moving average entry: a bare period keeps the sma20-style key, while
+// { key, period } entries name the series (useful when the period is a parameter)
+StrategyInterpreter.getMovingAverageEntry = function(type, entry) {
+  if (entry && typeof entry === 'object') {
+    return { key: entry.key || `${type}${entry.period}`, period: entry.period };
   }
+  return { key: `${type}${entry}`, period: entry };
+};
 
-  calculateBollingerBands(period = 20, stdDev = 2) {
-    const sma = this.calculateSMA(period);
-    const upper = [];
-    const lower = [];
-
-    for (let i = 0; i < this.data.length; i++) {
-      if (i < period - 1) {
-        upper.push(null);
-        lower.push(null);
-      } else {
-        const slice = this.data.slice(i - period + 1, i + 1);
-        const mean = sma[i];
-        const variance = slice.reduce((acc, candle) => acc + Math.pow(candle.close - mean, 2), 0) / period;
-        const standardDeviation = Math.sqrt(variance);
-        
-        upper.push(mean + (standardDeviation * stdDev));
-        lower.push(mean - (standardDeviation * stdDev));
-      }
+// Parse a parameter declaration into { min, max, step, default, values }
+// Accepts a fixed number, a range string like '3..20' or '0.5..3:0.5', or an object
+// with a range string, min/max/step or an explicit values list, plus an optional default
+StrategyInterpreter.parseParameter = function(name, spec) {
+  const range = typeof spec === 'string' ? spec : (spec && spec.range);
+  let parsed;
+
+  if (typeof spec === 'number') {
+    parsed = { min: spec, max: spec, step: 1, default: spec };
+  } else if (typeof range === 'string') {
+    const match = /^\s*(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)\s*(?::\s*([\d.]+))?\s*$/.exec(range);
+    if (!match) {
+      throw new Error(`Invalid range for parameter '${name}': ${range}`);
     }
+    parsed = { min: parseFloat(match[1]), max: parseFloat(match[2]), step: match[3] ? parseFloat(match[3]) : 1 };
+  } else if (spec && Array.isArray(spec.values)) {
+    parsed = { min: Math.min(...spec.values), max: Math.max(...spec.values), step: null, values: spec.values.slice() };
+  } else if (spec && typeof spec === 'object') {
+    parsed = { min: spec.min, max: spec.max, step: spec.step || 1 };
+  } else {
+    throw new Error(`Invalid declaration for parameter '${name}'`);
+  }
 
-    return { upper, middle: sma, lower };
+  if (!(parsed.step > 0) && !parsed.values) {
+    throw new Error(`Parameter '${name}' needs a positive step`);
+  }
+  if (!(parsed.min <= parsed.max)) {
+    throw new Error(`Parameter '${name}' has min greater than max`);
   }
 
-  calculateVolumeSMA(period = 20) {
-    // Note: This assumes volume data is available in the candle data
-    // You may need to modify based on your data structure
-    const volumeSMA = [];
-    for (let i = 0; i < this.data.length; i++) {
-      if (i < period - 1) {
-        volumeSMA.push(null);
-      } else {
-        const sum = this.data.slice(i - period + 1, i + 1).reduce((acc, candle) => acc + (candle.volume || 0), 0);
-        volumeSMA.push(sum / period);
-      }
+  if (!parsed.values) {
+    // Round to the step's precision so 0.1 steps don't accumulate float error
+    const decimals = (String(parsed.step).split('.')[1] || '').length;
+    parsed.values = [];
+    for (let value = parsed.min; value <= parsed.max + 1e-9; value += parsed.step) {
+      parsed.values.push(parseFloat(value.toFixed(decimals)));
     }
-    return volumeSMA;
   }
-}
+
+  const fallback = spec && typeof spec === 'object' ? spec.default : undefined;
+  parsed.default = parsed.default !== undefined ? parsed.default : (fallback !== undefined ? fallback : parsed.values[0]);
+  return parsed;
+};
+
+// Default value of every declared parameter
+StrategyInterpreter.getParameterDefaults = function(parameters = {}) {
+  const defaults = {};
+  Object.keys(parameters || {}).forEach(name => {
+    defaults[name] = StrategyInterpreter.parseParameter(name, parameters[name]).default;
+  });
+  return defaults;
+};
+
+StrategyInterpreter.SECONDS_PER_YEAR = 365.25 * 24 * 60 * 60;
+
+// Indicators declared in their own forms and calculated directly by calculateIndicators
+StrategyInterpreter.BUILTIN_INDICATORS = ['sma', 'ema', 'rsi', 'macd', 'bollinger', 'volume'];
+
+// Names in strategy.indicators handled through the indicator registry (see indicators.js)
+StrategyInterpreter.getRegisteredIndicators = function(strategy) {
+  return Object.keys(strategy.indicators || {}).filter(name => {
+    if (StrategyInterpreter.BUILTIN_INDICATORS.includes(name) || !strategy.indicators[name]) return false;
+    if (!Indicators.has(name)) {
+      throw new Error(`Unknown indicator: ${name}`);
+    }
+    return true;
+  });
+};
+
+// Bar fields of each higher timeframe available to conditions (e.g. values.h1.close)
+StrategyInterpreter.TIMEFRAME_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+
+// Candle fields that conditions can reference directly ('price' is an alias for close)
+StrategyInterpreter.PRICE_FIELDS = ['price', 'open', 'high', 'low', 'close', 'volume', 'time'];
 
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
@@ -1,189 +1,105 @@
-// Strategy Library - Predefined trading strategies
-class StrategyLibrary {
-  constructor() {
-    this.strategies = {
-      // Moving Average Crossover Strategies
-      ma_crossover: {
-        name: "Moving Average Crossover",
-        description: "Buy when short MA crosses above long MA, sell when it crosses below",
-        indicators: {
-          sma: [5, 20]
-        },
-        conditions: {
-          buy: (values, data, index) => values.sma5 > values.sma20,
-          sell: (values, data, index) => values.sma5 < values.sma20
-        }
-      },
+// Strategy Library - Predefined and user strategies in a declarative JSON format
+//
+// A strategy document is plain JSON, so it can be saved, shared and diffed:
+//   {
+//     schemaVersion: 2,
+//     name, description,
+//     parameters: { fast: { range: '3..20', default: 5 } },   // tunable, referenced as '$fast'
+//     constraints: ['fast < slow'],
+//     params: { fast: 3 },                                    // chosen values (optional)
+//     indicators: { sma: [{ key: 'fastMA', period: '$fast' }] },
+//     timeframes: { h1: { interval: '1h', indicators: {...} } },
+//     conditions: { enterLong: 'fastMA > slowMA', exitLong, enterShort, exitShort },
+//     risk: {...}, execution: {...},
+//     builder: {...},                                         // strategy builder model, if built there
+//     metadata: { category, tags, author, builtIn, revision, createdAt, updatedAt }
+//   }
+// Condition expressions read parameters as params.name. User strategies and their revision
+// history are saved to localStorage (or any store with the same getItem/setItem/removeItem
+// methods, such as IndexedDBStorage), and older documents are migrated when they are read.
 
-      ma_crossover_aggressive: {
-        name: "Aggressive MA Crossover",
-        description: "More sensitive moving average crossover with shorter periods",
-        indicators: {
-          sma: [3, 8]
-        },
-        conditions: {
-          buy: (values, data, index) => values.sma3 > values.sma8,
-          sell: (values, data, index) => values.sma3 < values.sma8
-        }
-      },
-
-      // RSI Strategies
-      rsi_oversold_overbought: {
-        name: "RSI Oversold/Overbought",
-        description: "Buy when RSI crosses above 30, sell when it crosses below 70",
-        indicators: {
-          rsi: { period: 14 }
-        },
-        conditions: {
-          buy: (values, data, index) => values.rsi > 30,
-          sell: (values, data, index) => values.rsi < 70
-        }
-      },
+if (typeof module !== 'undefined' && module.exports) {
+  var StrategyInterpreter = require('./strategy-interpreter.js');
+  var StrategyValidator = require('./strategy-validator.js');
+  var IndexedDBStore = require('./indexed-db-store.js');
+}
 
-      rsi_aggressive: {
-        name: "Aggressive RSI",
-        description: "More frequent RSI signals with wider ranges",
-        indicators: {
-          rsi: { period: 14 }
-        },
-        conditions: {
-          buy: (values, data, index) => values.rsi > 35,
-          sell: (values, data, index) => values.rsi < 65
-        }
-      },
+class StrategyLibrary {
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.storageKey = options.storageKey || 'strategyLibrary';
+    this.maxRevisions = options.maxRevisions || 20;
+    this.validator = new StrategyValidator();
+    this.strategies = {};
+    this.history = {};   // id -> [{ revision, savedAt, strategy }], oldest first
 
-      // MACD Strategies
-      macd_crossover: {
-        name: "MACD Crossover",
-        description: "Buy when MACD crosses above signal line, sell when below",
-        indicators: {
-          macd: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 }
-        },
-        conditions: {
-          buy: (values, data, index) => values.macd > values.macdSignal,
-          sell: (values, data, index) => values.macd < values.macdSignal
-        }
-      },
+    Object.keys(StrategyLibrary.BUILT_IN_STRATEGIES).forEach(id => {
+      this.strategies[id] = StrategyLibrary.migrate(JSON.parse(JSON.stringify(StrategyLibrary.BUILT_IN_STRATEGIES[id])));
+    });
+  }
 
-      macd_aggressive: {
-        name: "Aggressive MACD",
-        description: "Faster MACD with shorter periods for more signals",
-        indicators: {
-          macd: { fastPeriod: 8, slowPeriod: 21, signalPeriod: 5 }
-        },
-        conditions: {
-          buy: (values, data, index) => values.macd > values.macdSignal,
-          sell: (values, data, index) => values.macd < values.macdSignal
-        }
-      },
+  // Read the saved user strategies and their history; they replace built-ins with the same id.
+  // Resolves with the ids that were loaded
+  async load() {
+    if (!this.storage) return [];
 
-      // Bollinger Bands Strategies
-      bollinger_bounce: {
-        name: "Bollinger Bands Bounce",
-        description: "Buy when price touches lower band, sell when it touches upper band",
-        indicators: {
-          bollinger: { period: 20, stdDev: 2 }
-        },
-        conditions: {
-          buy: (values, data, index) => data[index].close <= values.bbLower,
-          sell: (values, data, index) => data[index].close >= values.bbUpper
-        }
-      },
+    let saved;
+    try {
+      const content = await this.storage.getItem(this.storageKey);
+      saved = content ? JSON.parse(content) : null;
+    } catch (error) {
+      console.error('Error loading strategy library:', error);
+      return [];
+    }
+    if (!saved) return [];
 
-      bollinger_squeeze: {
-        name: "Bollinger Bands Squeeze",
-        description: "Buy when price breaks above upper band, sell when below lower band",
-        indicators: {
-          bollinger: { period: 20, stdDev: 2 }
-        },
-        conditions: {
-          buy: (values, data, index) => data[index].close > values.bbUpper,
-          sell: (values, data, index) => data[index].close < values.bbLower
-        }
-      },
+    const ids = [];
+    Object.keys(saved.strategies || {}).forEach(id => {
+      try {
+        this.strategies[id] = StrategyLibrary.migrate(saved.strategies[id]);
+        this.history[id] = (saved.history && saved.history[id]) || [];
+        ids.push(id);
+      } catch (error) {
+        console.error(`Error loading strategy '${id}':`, error);
+      }
+    });
+    return ids;
+  }
 
-      // Combined Strategies
-      rsi_ma_combined: {
-        name: "RSI + MA Combined",
-        description: "Combines RSI oversold/overbought with moving average trend",
-        indicators: {
-          rsi: { period: 14 },
-          sma: [20]
-        },
-        conditions: {
-          buy: (values, data, index) => values.rsi < 30 && data[index].close > values.sma20,
-          sell: (values, data, index) => values.rsi > 70 || data[index].close < values.sma20
-        }
-      },
+  // Save the user strategies and their history. Built-ins are not saved, and neither are
+  // strategies with function conditions, which only live until the page is reloaded
+  async persist() {
+    if (!this.storage) return;
 
-      macd_rsi_combined: {
-        name: "MACD + RSI Combined",
-        description: "Combines MACD momentum with RSI confirmation",
-        indicators: {
-          macd: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
-          rsi: { period: 14 }
-        },
-        conditions: {
-          buy: (values, data, index) => values.macd > values.macdSignal && values.rsi < 40,
-          sell: (values, data, index) => values.macd < values.macdSignal && values.rsi > 60
-        }
-      },
-
-      // High Frequency Strategies
-      high_frequency: {
-        name: "High Frequency Strategy",
-        description: "Very short-term strategy for maximum signals",
-        indicators: {
-          sma: [3, 8],
-          rsi: { period: 7 }
-        },
-        conditions: {
-          buy: (values, data, index) => values.sma3 > values.sma8 || values.rsi < 25,
-          sell: (values, data, index) => values.sma3 < values.sma8 || values.rsi > 75
-        }
-      },
+    const strategies = {};
+    Object.keys(this.strategies).forEach(id => {
+      const strategy = this.strategies[id];
+      if (!strategy.metadata.builtIn && StrategyLibrary.isSerializable(strategy)) {
+        strategies[id] = strategy;
+      }
+    });
 
-      // Mean Reversion Strategies
-      mean_reversion: {
-        name: "Mean Reversion",
-        description: "Buy when price is far below moving average, sell when far above",
-        indicators: {
-          sma: [50]
-        },
-        conditions: {
-          buy: (values, data, index) => data[index].close < values.sma50 * 0.95,
-          sell: (values, data, index) => data[index].close > values.sma50 * 1.05
-        }
-      },
+    try {
+      await this.storage.setItem(this.storageKey, JSON.stringify({
+        schemaVersion: StrategyLibrary.SCHEMA_VERSION,
+        strategies,
+        history: this.history
+      }));
+    } catch (error) {
+      console.error('Error saving strategy library:', error);
+    }
+  }
 
-      // Momentum Strategies
-      momentum: {
-        name: "Momentum Strategy",
-        description: "Buy on strong upward momentum, sell on downward momentum",
-        indicators: {
-          ema: [10, 20]
-        },
-        conditions: {
-          buy: (values, data, index) => values.ema10 > values.ema20 && 
-                                        data[index].close > data[index-1].close,
-          sell: (values, data, index) => values.ema10 < values.ema20 && 
-                                        data[index].close < data[index-1].close
-        }
-      },
+  // Get the declared parameters of a strategy with their ranges and current values
+  getStrategyParameters(strategyId) {
+    const strategy = this.strategies[strategyId];
+    if (!strategy || !strategy.parameters) return [];
 
-      // Simple Test Strategy
-      simple_test: {
-        name: "Simple Test Strategy",
-        description: "Simple strategy that should generate both buy and sell signals",
-        indicators: {
-          sma: [10]
-        },
-        conditions: {
-          buy: (values, data, index) => data[index].close > values.sma10,
-          sell: (values, data, index) => data[index].close < values.sma10
-        }
-      }
-    };
+    return Object.keys(strategy.parameters).map(name => {
+      const parameter = StrategyInterpreter.parseParameter(name, strategy.parameters[name]);
+      const value = strategy.params && strategy.params[name] !== undefined ? strategy.params[name] : parameter.default;
+      return { name, min: parameter.min, max: parameter.max, step: parameter.step, value };
+    });
   }
 
   // Get all available strategies
@@ -199,48 +115,131 @@ class StrategyLibrary {
     return this.strategies[strategyId];
   }
 
-  // Add a custom strategy to the library
+  // Add or update a strategy and save the library; the version it replaces goes into the
+  // revision history. Returns the stored strategy with its revision and dates
   addStrategy(id, strategy) {
-    this.strategies[id] = strategy;
+    const previous = this.strategies[id];
+    const document = StrategyLibrary.migrate(strategy);
+    const now = Date.now();
+    const previousRevision = previous ? previous.metadata.revision || 1 : 0;
+
+    if (previous && StrategyLibrary.isSerializable(previous)) {
+      this.history[id] = [
+        ...(this.history[id] || []),
+        { revision: previousRevision, savedAt: previous.metadata.updatedAt || now, strategy: previous }
+      ].slice(-this.maxRevisions);
+    }
+
+    this.strategies[id] = {
+      ...document,
+      metadata: {
+        ...document.metadata,
+        builtIn: false,
+        revision: previousRevision + 1,
+        createdAt: (previous && previous.metadata.createdAt) || document.metadata.createdAt || now,
+        updatedAt: now
+      }
+    };
+    this.persist();
+    return this.strategies[id];
   }
 
-  // Remove a strategy from the library
+  // Remove a strategy and its history (built-ins return on the next page load)
   removeStrategy(strategyId) {
     delete this.strategies[strategyId];
+    delete this.history[strategyId];
+    this.persist();
   }
 
-  // Get strategies by category
-  getStrategiesByCategory(category) {
-    const categories = {
-      'moving_average': ['ma_crossover', 'ma_crossover_aggressive'],
-      'rsi': ['rsi_oversold_overbought', 'rsi_aggressive'],
-      'macd': ['macd_crossover', 'macd_aggressive'],
-      'bollinger': ['bollinger_bounce', 'bollinger_squeeze'],
-      'combined': ['rsi_ma_combined', 'macd_rsi_combined'],
-      'high_frequency': ['high_frequency'],
-      'mean_reversion': ['mean_reversion'],
-      'momentum': ['momentum']
-    };
+  // Earlier revisions of a strategy, newest first
+  getRevisions(strategyId) {
+    return (this.history[strategyId] || [])
+      .map(({ revision, savedAt }) => ({ revision, savedAt }))
+      .reverse();
+  }
+
+  // Make an earlier revision current again; this is saved as a new revision, so nothing is lost
+  restoreRevision(strategyId, revision) {
+    const entry = (this.history[strategyId] || []).find(item => item.revision === revision);
+    if (!entry) {
+      throw new Error(`Strategy '${strategyId}' has no revision ${revision}`);
+    }
+    return this.addStrategy(strategyId, entry.strategy);
+  }
 
-    return categories[category] || [];
+  // JSON file content for one strategy
+  exportStrategy(strategyId) {
+    return JSON.stringify(this.getDocument(strategyId), null, 2);
   }
 
-  // Validate strategy format
-  validateStrategy(strategy) {
-    const required = ['name', 'indicators', 'conditions'];
-    const missing = required.filter(field => !strategy[field]);
-    
-    if (missing.length > 0) {
-      throw new Error(`Missing required fields: ${missing.join(', ')}`);
+  // JSON file content for several strategies (by default every exportable one)
+  exportStrategies(strategyIds) {
+    const ids = strategyIds || Object.keys(this.strategies).filter(id => StrategyLibrary.isSerializable(this.strategies[id]));
+    return JSON.stringify({
+      schemaVersion: StrategyLibrary.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      strategies: ids.map(id => this.getDocument(id))
+    }, null, 2);
+  }
+
+  // Strategy document with its id, as written to export files
+  getDocument(strategyId) {
+    const strategy = this.strategies[strategyId];
+    if (!strategy) {
+      throw new Error(`Unknown strategy: ${strategyId}`);
     }
+    if (!StrategyLibrary.isSerializable(strategy)) {
+      throw new Error(`Strategy '${strategy.name}' has function conditions and cannot be exported`);
+    }
+    return { id: strategyId, ...strategy };
+  }
 
-    if (!strategy.conditions.buy || !strategy.conditions.sell) {
-      throw new Error('Strategy must have both buy and sell conditions');
+  // Add strategies from an exported file: a single strategy, an array of them or a library
+  // export. Every strategy is migrated and validated before any is added; returns their ids
+  importStrategies(content) {
+    let data;
+    try {
+      data = typeof content === 'string' ? JSON.parse(content) : content;
+    } catch (error) {
+      throw new Error(`Invalid strategy file: ${error.message}`);
     }
 
+    const documents = Array.isArray(data) ? data : (Array.isArray(data.strategies) ? data.strategies : [data]);
+    const strategies = documents.map(document => {
+      const strategy = StrategyLibrary.migrate(document);
+      this.validateStrategy(strategy);
+      return strategy;
+    });
+
+    return strategies.map(({ id, ...strategy }) => {
+      const strategyId = id || StrategyLibrary.createId(strategy.name);
+      this.addStrategy(strategyId, strategy);
+      return strategyId;
+    });
+  }
+
+  // Get the ids of the strategies in a category
+  getStrategiesByCategory(category) {
+    return Object.keys(this.strategies).filter(id => this.strategies[id].metadata.category === category);
+  }
+
+  // Throw if the strategy has errors, listing all of them; checkStrategy gives the full report
+  validateStrategy(strategy) {
+    const report = this.validator.validate(strategy);
+    if (!report.valid) {
+      const error = new Error(report.errors.map(StrategyValidator.formatIssue).join('\n'));
+      error.issues = report.errors;
+      throw error;
+    }
     return true;
   }
 
+  // Errors and warnings with paths into the strategy; sample data adds the checks that
+  // evaluate each condition (e.g. one that is never true)
+  checkStrategy(strategy, data) {
+    return this.validator.validate(strategy, { data });
+  }
+
   // Create a custom strategy from parameters
   createCustomStrategy(params) {
     const strategy = {
@@ -253,12 +252,393 @@ class StrategyLibrary {
       }
     };
 
+    if (params.shortCondition) {
+      strategy.conditions.enterShort = params.shortCondition;
+      strategy.conditions.exitShort = params.coverCondition || (() => false);
+    }
+
     this.validateStrategy(strategy);
     return strategy;
   }
 }
 
+StrategyLibrary.SCHEMA_VERSION = 2;
+
+// Upgrades from each schema version to the next
+StrategyLibrary.MIGRATIONS = {
+  // 1 -> 2: buy/sell conditions become enterLong/exitLong (an explicit enterLong/exitLong
+  // still wins, as in the interpreter) and category, tags and author move into metadata
+  1: strategy => {
+    const { buy, sell, ...conditions } = strategy.conditions || {};
+    const { category, tags, author, ...document } = strategy;
+    const migrated = { enterLong: buy, exitLong: sell, ...conditions };
+    Object.keys(migrated).forEach(name => {
+      if (migrated[name] === undefined) delete migrated[name];
+    });
+
+    const metadata = { ...document.metadata };
+    if (category !== undefined) metadata.category = category;
+    if (tags !== undefined) metadata.tags = tags;
+    if (author !== undefined) metadata.author = author;
+    return { ...document, conditions: migrated, metadata };
+  }
+};
+
+// Upgrade a strategy document to the current schema version, one version at a time.
+// Documents without a schemaVersion are version 1 (the format interpret() accepts as JSON)
+StrategyLibrary.migrate = function(strategy) {
+  const reserved = StrategyLibrary.findReservedKey(strategy);
+  if (reserved) {
+    throw new Error(`Strategy '${strategy.name}' has a reserved '$function' key at ${reserved}`);
+  }
+
+  let version = strategy.schemaVersion || 1;
+  if (version > StrategyLibrary.SCHEMA_VERSION) {
+    throw new Error(`Strategy '${strategy.name}' uses schema version ${version}, newer than the supported ${StrategyLibrary.SCHEMA_VERSION}`);
+  }
+
+  let document = strategy;
+  while (version < StrategyLibrary.SCHEMA_VERSION) {
+    document = StrategyLibrary.MIGRATIONS[version](document);
+    version++;
+  }
+  return { ...document, schemaVersion: version, metadata: { ...document.metadata } };
+};
+
+// Path of the first '$function' key in a document, or null. Documents are plain data, and
+// the key is refused so nothing can pass one off as function source
+StrategyLibrary.findReservedKey = function(value, path = 'strategy') {
+  if (!value || typeof value !== 'object') return null;
+  for (const key of Object.keys(value)) {
+    const keyPath = Array.isArray(value) ? `${path}[${key}]` : `${path}.${key}`;
+    if (key === '$function') return keyPath;
+    const found = StrategyLibrary.findReservedKey(value[key], keyPath);
+    if (found) return found;
+  }
+  return null;
+};
+
+// Only strategies whose conditions are expressions can be saved and exported
+StrategyLibrary.isSerializable = function(strategy) {
+  return Object.values(strategy.conditions || {}).every(condition => typeof condition === 'string');
+};
+
+// Library id for a user strategy name
+StrategyLibrary.createId = function(name) {
+  return 'custom_' + String(name || 'strategy').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+};
+
+// Built-in strategies; the aggressive variants only change parameter values
+StrategyLibrary.BUILT_IN_STRATEGIES = (() => {
+  const builtIn = (category, strategy) => ({
+    schemaVersion: 2,
+    ...strategy,
+    metadata: { category, builtIn: true, revision: 1 }
+  });
+
+  const maCrossover = {
+    parameters: {
+      fast: { range: '3..20', default: 5 },
+      slow: { range: '10..60:5', default: 20 }
+    },
+    constraints: ['fast < slow'],
+    indicators: {
+      sma: [{ key: 'fastMA', period: '$fast' }, { key: 'slowMA', period: '$slow' }]
+    },
+    conditions: {
+      enterLong: 'crossesAbove(fastMA, slowMA)',
+      exitLong: 'crossesBelow(fastMA, slowMA)'
+    }
+  };
+
+  const rsiLevels = {
+    parameters: {
+      period: { range: '7..21', default: 14 },
+      oversold: { range: '20..40:5', default: 30 },
+      overbought: { range: '60..80:5', default: 70 }
+    },
+    constraints: ['oversold < overbought'],
+    indicators: {
+      rsi: { period: '$period' }
+    },
+    conditions: {
+      enterLong: 'crossesAbove(rsi, params.oversold)',
+      exitLong: 'crossesBelow(rsi, params.overbought)'
+    }
+  };
+
+  const macdCrossover = {
+    parameters: {
+      fast: { range: '6..16', default: 12 },
+      slow: { range: '18..34:2', default: 26 },
+      signal: { range: '5..12', default: 9 }
+    },
+    constraints: ['fast < slow'],
+    indicators: {
+      macd: { fastPeriod: '$fast', slowPeriod: '$slow', signalPeriod: '$signal' }
+    },
+    conditions: {
+      enterLong: 'crossesAbove(macd, macdSignal)',
+      exitLong: 'crossesBelow(macd, macdSignal)'
+    }
+  };
+
+  const bollingerParameters = {
+    period: { range: '10..40:5', default: 20 },
+    stdDev: { range: '1.5..3:0.5', default: 2 }
+  };
+
+  return {
+    // Moving Average Crossover Strategies
+    ma_crossover: builtIn('moving_average', {
+      name: "Moving Average Crossover",
+      description: "Buy when short MA crosses above long MA, sell when it crosses below",
+      ...maCrossover
+    }),
+
+    ma_crossover_aggressive: builtIn('moving_average', {
+      name: "Aggressive MA Crossover",
+      description: "More sensitive moving average crossover with shorter periods",
+      ...maCrossover,
+      // Its own ranges, so the short periods are in range and the optimizer searches around them
+      parameters: {
+        fast: { range: '2..10', default: 3 },
+        slow: { range: '5..30', default: 8 }
+      }
+    }),
+
+    // RSI Strategies
+    rsi_oversold_overbought: builtIn('rsi', {
+      name: "RSI Oversold/Overbought",
+      description: "Buy when RSI crosses above 30, sell when it crosses below 70",
+      ...rsiLevels
+    }),
+
+    rsi_aggressive: builtIn('rsi', {
+      name: "Aggressive RSI",
+      description: "More frequent RSI signals with wider ranges",
+      ...rsiLevels,
+      params: { period: 14, oversold: 35, overbought: 65 }
+    }),
+
+    // MACD Strategies
+    macd_crossover: builtIn('macd', {
+      name: "MACD Crossover",
+      description: "Buy when MACD crosses above signal line, sell when below",
+      ...macdCrossover
+    }),
+
+    macd_aggressive: builtIn('macd', {
+      name: "Aggressive MACD",
+      description: "Faster MACD with shorter periods for more signals",
+      ...macdCrossover,
+      // Its own ranges, so the shorter periods are on the grid and the optimizer searches around them
+      parameters: {
+        fast: { range: '4..12', default: 8 },
+        slow: { range: '13..30', default: 21 },
+        signal: { range: '3..9', default: 5 }
+      }
+    }),
+
+    // Bollinger Bands Strategies
+    bollinger_bounce: builtIn('bollinger', {
+      name: "Bollinger Bands Bounce",
+      description: "Buy when price touches lower band, sell when it touches upper band",
+      parameters: bollingerParameters,
+      indicators: {
+        bollinger: { period: '$period', stdDev: '$stdDev' }
+      },
+      conditions: {
+        enterLong: 'close <= bbLower',
+        exitLong: 'close >= bbUpper'
+      }
+    }),
+
+    bollinger_squeeze: builtIn('bollinger', {
+      name: "Bollinger Bands Squeeze",
+      description: "Buy when price breaks above upper band, sell when below lower band",
+      parameters: bollingerParameters,
+      indicators: {
+        bollinger: { period: '$period', stdDev: '$stdDev' }
+      },
+      conditions: {
+        enterLong: 'crossesAbove(close, bbUpper)',
+        exitLong: 'crossesBelow(close, bbLower)'
+      }
+    }),
+
+    // Combined Strategies
+    rsi_ma_combined: builtIn('combined', {
+      name: "RSI + MA Combined",
+      description: "Combines RSI oversold/overbought with moving average trend",
+      parameters: {
+        rsiPeriod: { range: '7..21', default: 14 },
+        trend: { range: '10..50:5', default: 20 },
+        oversold: { range: '20..40:5', default: 30 },
+        overbought: { range: '60..80:5', default: 70 }
+      },
+      indicators: {
+        rsi: { period: '$rsiPeriod' },
+        sma: [{ key: 'trendMA', period: '$trend' }]
+      },
+      conditions: {
+        enterLong: 'rsi < params.oversold and close > trendMA',
+        exitLong: 'rsi > params.overbought or close < trendMA'
+      }
+    }),
+
+    rsi_trend_filter: builtIn('combined', {
+      name: "RSI with 1h Trend Filter",
+      description: "Buy RSI dips only while the completed 1h close is above its moving average",
+      parameters: {
+        period: { range: '7..21', default: 14 },
+        oversold: { range: '20..40:5', default: 30 },
+        overbought: { range: '60..80:5', default: 70 },
+        trend: { range: '10..50:10', default: 20 }
+      },
+      indicators: {
+        rsi: { period: '$period' }
+      },
+      timeframes: {
+        h1: { interval: '1h', indicators: { sma: [{ key: 'trendMA', period: '$trend' }] } }
+      },
+      conditions: {
+        enterLong: 'rsi < params.oversold and h1.close > h1.trendMA',
+        exitLong: 'rsi > params.overbought or h1.close < h1.trendMA'
+      }
+    }),
+
+    macd_rsi_combined: builtIn('combined', {
+      name: "MACD + RSI Combined",
+      description: "Combines MACD momentum with RSI confirmation",
+      indicators: {
+        macd: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+        rsi: { period: 14 }
+      },
+      conditions: {
+        enterLong: 'macd > macdSignal and rsi < 40',
+        exitLong: 'macd < macdSignal and rsi > 60'
+      }
+    }),
+
+    // High Frequency Strategies
+    high_frequency: builtIn('high_frequency', {
+      name: "High Frequency Strategy",
+      description: "Very short-term strategy for maximum signals",
+      indicators: {
+        sma: [3, 8],
+        rsi: { period: 7 }
+      },
+      conditions: {
+        enterLong: 'sma3 > sma8 or rsi < 25',
+        exitLong: 'sma3 < sma8 or rsi > 75'
+      }
+    }),
+
+    // Mean Reversion Strategies
+    mean_reversion: builtIn('mean_reversion', {
+      name: "Mean Reversion",
+      description: "Buy when price is far below moving average, sell when far above",
+      parameters: {
+        period: { range: '20..100:10', default: 50 },
+        band: { range: '1..10', default: 5 }
+      },
+      indicators: {
+        sma: [{ key: 'meanMA', period: '$period' }]
+      },
+      conditions: {
+        enterLong: 'close < meanMA * (1 - params.band / 100)',
+        exitLong: 'close > meanMA * (1 + params.band / 100)'
+      }
+    }),
+
+    // Momentum Strategies
+    momentum: builtIn('momentum', {
+      name: "Momentum Strategy",
+      description: "Buy on strong upward momentum, sell on downward momentum",
+      parameters: {
+        fast: { range: '5..20', default: 10 },
+        slow: { range: '15..50:5', default: 20 }
+      },
+      constraints: ['fast < slow'],
+      indicators: {
+        ema: [{ key: 'fastEMA', period: '$fast' }, { key: 'slowEMA', period: '$slow' }]
+      },
+      conditions: {
+        enterLong: 'fastEMA > slowEMA and close > close[1]',
+        exitLong: 'fastEMA < slowEMA and close < close[1]'
+      }
+    }),
+
+    // Long/Short Strategies
+    ma_crossover_long_short: builtIn('long_short', {
+      name: "MA Crossover Long/Short",
+      description: "Long when short MA is above long MA, reverse to short when it drops below",
+      indicators: {
+        sma: [5, 20]
+      },
+      conditions: {
+        enterLong: 'sma5 > sma20',
+        enterShort: 'sma5 < sma20'
+      }
+    }),
+
+    bollinger_fade_long_short: builtIn('long_short', {
+      name: "Bollinger Fade Long/Short",
+      description: "Buy below the lower band and short above the upper band, exiting both at the middle band",
+      indicators: {
+        bollinger: { period: 20, stdDev: 2 }
+      },
+      conditions: {
+        enterLong: 'close < bbLower',
+        exitLong: 'close >= bbMiddle',
+        enterShort: 'close > bbUpper',
+        exitShort: 'close <= bbMiddle'
+      }
+    }),
+
+    // Simple Test Strategy
+    simple_test: builtIn('test', {
+      name: "Simple Test Strategy",
+      description: "Simple strategy that should generate both buy and sell signals",
+      parameters: {
+        period: { range: '5..50:5', default: 10 }
+      },
+      indicators: {
+        sma: [{ key: 'baseMA', period: '$period' }]
+      },
+      conditions: {
+        enterLong: 'close > baseMA',
+        exitLong: 'close < baseMA'
+      }
+    })
+  };
+})();
+
+// Key-value store on IndexedDB with localStorage's method names (asynchronous), for
+// libraries that outgrow localStorage: new StrategyLibrary({ storage: new IndexedDBStorage() })
+class IndexedDBStorage {
+  constructor(options = {}) {
+    this.store = new IndexedDBStore(options.databaseName || 'strategy-library', 'entries', options);
+  }
+
+  async getItem(key) {
+    const entry = await this.store.request('readonly', store => store.get(key));
+    return entry ? entry.value : null;
+  }
+
+  async setItem(key, value) {
+    await this.store.request('readwrite', store => store.put({ key, value }));
+  }
+
+  async removeItem(key) {
+    await this.store.request('readwrite', store => store.delete(key));
+  }
+}
+
+StrategyLibrary.IndexedDBStorage = IndexedDBStorage;
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = StrategyLibrary;
-} 
\ No newline at end of file
+}
@@ -0,0 +1,252 @@
+// Strategy Optimizer - Searches a strategy's parameter ranges for the best backtest result
+
+if (typeof module !== 'undefined' && module.exports) {
+  var StrategyExpression = require('./strategy-expression.js');
+  var StrategyInterpreter = require('./strategy-interpreter.js');
+}
+
+var StrategyOptimizer = class StrategyOptimizer {
+  constructor(options = {}) {
+    this.interpreter = options.interpreter || new StrategyInterpreter({ logging: false });
+    this.expressions = new StrategyExpression();
+  }
+
+  // Run a grid, random or genetic search over the strategy's parameters on the given data
+  // Returns the evaluated combinations ranked by the objective (best first)
+  optimize(strategy, data, options = {}) {
+    const settings = { ...StrategyOptimizer.DEFAULT_OPTIONS, ...options };
+    const space = this.getSearchSpace(strategy, settings.parameters);
+    const random = StrategyOptimizer.createRandom(settings.seed);
+    const cache = new Map();
+
+    if (space.length === 0) {
+      throw new Error('Strategy has no parameters to optimize');
+    }
+
+    const gridSize = space.reduce((size, parameter) => size * parameter.values.length, 1);
+
+    // Evaluate one parameter set, reusing earlier results for repeated combinations
+    const evaluate = params => {
+      const key = StrategyOptimizer.getParamsKey(params);
+      if (cache.has(key)) return cache.get(key);
+
+      let result;
+      if (!this.satisfiesConstraints(strategy, params)) {
+        result = { params, stats: null, score: -Infinity, rejected: 'constraint' };
+      } else {
+        const run = this.interpreter.interpret({ ...strategy, params, data });
+        const exits = run.trades.filter(trade => trade.type === 'exit').length;
+        // An infinite score is a real result (e.g. the profit factor of a run without losses)
+        // and ranks accordingly; only runs that cannot be scored rank last
+        const score = this.getScore(run.stats, settings);
+        result = {
+          params,
+          stats: run.stats,
+          score: exits >= settings.minTrades && !Number.isNaN(score) ? score : -Infinity,
+          rejected: exits < settings.minTrades ? 'minTrades' : null
+        };
+      }
+
+      cache.set(key, result);
+      if (settings.onProgress) {
+        settings.onProgress(cache.size, settings.method === 'grid' ? gridSize : null, result);
+      }
+      return result;
+    };
+
+    switch (settings.method) {
+      case 'grid':
+        if (gridSize > settings.maxCombinations) {
+          throw new Error(`Grid has ${gridSize} combinations (limit ${settings.maxCombinations}); use random or genetic search`);
+        }
+        this.runGridSearch(space, evaluate);
+        break;
+      case 'random':
+        this.runRandomSearch(space, evaluate, Math.min(settings.iterations, gridSize), random);
+        break;
+      case 'genetic':
+        this.runGeneticSearch(space, evaluate, settings, random);
+        break;
+      default:
+        throw new Error(`Unknown optimization method: ${settings.method}`);
+    }
+
+    const ranked = Array.from(cache.values())
+      .filter(result => result.rejected !== 'constraint')
+      .sort(StrategyOptimizer.compareResults);
+
+    // Report the objective in its natural sign even when minimizing
+    const results = ranked.slice(0, settings.top).map((result, index) => ({
+      rank: index + 1,
+      params: result.params,
+      stats: result.stats,
+      objective: result.rejected ? null : (settings.minimize ? -result.score : result.score),
+      rejected: result.rejected
+    }));
+
+    return {
+      method: settings.method,
+      objective: typeof settings.objective === 'function' ? 'custom' : settings.objective,
+      combinations: gridSize,
+      evaluated: ranked.length,
+      best: results.find(result => !result.rejected) || null,
+      results: results
+    };
+  }
+
+  // Parameter names with the values to search; options can narrow or replace declared ranges
+  getSearchSpace(strategy, overrides = {}) {
+    const declared = { ...strategy.parameters, ...overrides };
+    return Object.keys(declared).map(name => ({
+      name,
+      values: StrategyInterpreter.parseParameter(name, declared[name]).values
+    }));
+  }
+
+  // Check the strategy's constraint expressions (e.g. 'fast < slow') against a parameter set
+  satisfiesConstraints(strategy, params) {
+    const constraints = strategy.constraints || [];
+    const scope = {
+      resolve: name => params[name.startsWith('params.') ? name.slice('params.'.length) : name]
+    };
+    return constraints.every(constraint => Boolean(this.expressions.evaluate(constraint, scope)));
+  }
+
+  // Score a run's statistics; higher is always better internally
+  getScore(stats, settings) {
+    const value = typeof settings.objective === 'function'
+      ? settings.objective(stats)
+      : stats[settings.objective];
+
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      throw new Error(`Objective '${settings.objective}' is not a numeric statistic`);
+    }
+    return settings.minimize ? -value : value;
+  }
+
+  // Evaluate every combination of parameter values
+  runGridSearch(space, evaluate) {
+    const visit = (depth, params) => {
+      if (depth === space.length) {
+        evaluate({ ...params });
+        return;
+      }
+      space[depth].values.forEach(value => {
+        params[space[depth].name] = value;
+        visit(depth + 1, params);
+      });
+    };
+    visit(0, {});
+  }
+
+  // Evaluate randomly sampled combinations
+  runRandomSearch(space, evaluate, iterations, random) {
+    const seen = new Set();
+    let attempts = 0;
+
+    while (seen.size < iterations && attempts < iterations * 20) {
+      const params = this.randomParams(space, random);
+      seen.add(StrategyOptimizer.getParamsKey(params));
+      evaluate(params);
+      attempts++;
+    }
+  }
+
+  // Evolve a population with tournament selection, uniform crossover, mutation and elitism
+  runGeneticSearch(space, evaluate, settings, random) {
+    let population = [];
+    for (let i = 0; i < settings.populationSize; i++) {
+      population.push(this.randomParams(space, random));
+    }
+
+    const tournament = scored => {
+      let best = null;
+      for (let i = 0; i < settings.tournamentSize; i++) {
+        const candidate = scored[Math.floor(random() * scored.length)];
+        if (!best || candidate.score > best.score) best = candidate;
+      }
+      return best.params;
+    };
+
+    for (let generation = 0; generation < settings.generations; generation++) {
+      const scored = population
+        .map(params => ({ params, score: evaluate(params).score }))
+        .sort(StrategyOptimizer.compareResults);
+
+      const next = scored.slice(0, settings.eliteCount).map(entry => entry.params);
+      while (next.length < settings.populationSize) {
+        const mother = tournament(scored);
+        const father = tournament(scored);
+        const child = {};
+
+        space.forEach(parameter => {
+          child[parameter.name] = random() < 0.5 ? mother[parameter.name] : father[parameter.name];
+          if (random() < settings.mutationRate) {
+            child[parameter.name] = parameter.values[Math.floor(random() * parameter.values.length)];
+          }
+        });
+        next.push(child);
+      }
+      population = next;
+    }
+
+    population.forEach(evaluate);
+  }
+
+  // Pick a random value for every parameter
+  randomParams(space, random) {
+    const params = {};
+    space.forEach(parameter => {
+      params[parameter.name] = parameter.values[Math.floor(random() * parameter.values.length)];
+    });
+    return params;
+  }
+};
+
+// Stable key for a parameter set, used to avoid re-running identical combinations
+StrategyOptimizer.getParamsKey = function(params) {
+  return Object.keys(params).sort().map(name => `${name}=${params[name]}`).join('&');
+};
+
+// Seeded pseudo-random generator (mulberry32) so searches are reproducible
+StrategyOptimizer.createRandom = function(seed) {
+  let state = (seed === undefined ? Date.now() : seed) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Sort order of evaluated results: rejected runs last, then the highest score first. Scores
+// are compared rather than subtracted, since Infinity - Infinity is NaN
+StrategyOptimizer.compareResults = function(a, b) {
+  if (Boolean(a.rejected) !== Boolean(b.rejected)) return a.rejected ? 1 : -1;
+  if (a.score === b.score) return 0;
+  return a.score > b.score ? -1 : 1;
+};
+
+StrategyOptimizer.DEFAULT_OPTIONS = {
+  method: 'grid',              // grid | random | genetic
+  objective: 'sharpeRatio',    // any numeric stat from calculateStatistics, or a function(stats)
+  minimize: false,
+  minTrades: 1,                // runs with fewer closed trades rank last
+  top: 50,
+  maxCombinations: 10000,
+  iterations: 200,             // random search
+  populationSize: 20,          // genetic search
+  generations: 10,
+  mutationRate: 0.2,
+  tournamentSize: 3,
+  eliteCount: 2,
+  seed: undefined,
+  parameters: {},
+  onProgress: null
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StrategyOptimizer;
+}
@@ -0,0 +1,526 @@
+// Strategy Validator - Checks a strategy before it runs and reports every problem it finds
+//
+// validate() returns { valid, errors, warnings }; each issue is { path, message }, where the
+// path points into the strategy (e.g. 'indicators.macd.fastPeriod', 'conditions.enterLong').
+// Errors are mistakes the interpreter would trip over or silently get wrong, such as a
+// condition reading an indicator that is never declared; warnings flag likely mistakes, such
+// as a condition that is always true on the sample data.
+
+if (typeof module !== 'undefined' && module.exports) {
+  var CandleIO = require('./candle-io.js');
+  var { Indicators } = require('./indicators.js');
+  var StrategyExpression = require('./strategy-expression.js');
+  var StrategyInterpreter = require('./strategy-interpreter.js');
+}
+
+var StrategyValidator = class StrategyValidator {
+  constructor() {
+    this.expressions = new StrategyExpression();
+  }
+
+  // options: { data } - sample candles; with them every condition is also evaluated bar by bar
+  validate(strategy, options = {}) {
+    const errors = [];
+    const warnings = [];
+    const issues = {
+      error: (path, message) => errors.push({ path, message }),
+      warning: (path, message) => warnings.push({ path, message })
+    };
+
+    if (!strategy || typeof strategy !== 'object' || Array.isArray(strategy)) {
+      issues.error('', 'A strategy must be an object');
+      return { valid: false, errors, warnings };
+    }
+
+    this.checkSchema(strategy, issues);
+    const params = this.checkParameters(strategy, issues);
+    const resolved = this.resolveReferences(strategy, params, issues);
+
+    const keys = new Set([...StrategyInterpreter.PRICE_FIELDS, 'index']);
+    if (this.isObject(resolved.indicators)) {
+      this.checkIndicators(resolved.indicators, 'indicators', issues).forEach(key => keys.add(key));
+    }
+    this.checkTimeframes(resolved.timeframes, issues).forEach(key => keys.add(key));
+    this.checkRisk(resolved.risk, issues);
+
+    if (this.isObject(strategy.conditions)) {
+      this.checkConditions(strategy, keys, params, issues);
+    }
+
+    if (errors.length === 0 && options.data && options.data.length > 0) {
+      this.checkSampleData(strategy, options.data, issues);
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  // Required fields, condition names and the entry/exit combinations the interpreter can trade
+  checkSchema(strategy, issues) {
+    if (typeof strategy.name !== 'string' || !strategy.name.trim()) {
+      issues.error('name', 'A name is required');
+    }
+    if (!this.isObject(strategy.indicators)) {
+      issues.error('indicators', 'Indicators must be an object (use {} when none are needed)');
+    }
+
+    Object.keys(strategy).forEach(field => {
+      if (!StrategyValidator.FIELDS.includes(field)) {
+        issues.warning(field, `'${field}' is not a strategy field and is ignored`);
+      }
+    });
+
+    const conditions = strategy.conditions;
+    if (!this.isObject(conditions)) {
+      issues.error('conditions', 'Conditions must be an object with enterLong/exitLong and/or enterShort/exitShort');
+      return;
+    }
+
+    Object.keys(conditions).forEach(name => {
+      const condition = conditions[name];
+      const path = `conditions.${name}`;
+      if (!StrategyValidator.CONDITIONS.includes(name)) {
+        issues.warning(path, `'${name}' is not a condition the interpreter runs (use enterLong, exitLong, enterShort or exitShort)`);
+      } else if (typeof condition === 'string' ? !condition.trim() : typeof condition !== 'function') {
+        issues.error(path, 'A condition must be an expression string or a function');
+      }
+    });
+
+    // Legacy buy/sell conditions are aliases for enterLong/exitLong
+    if (conditions.buy && conditions.enterLong) {
+      issues.warning('conditions.buy', 'Ignored because enterLong is also set');
+    }
+    if (conditions.sell && conditions.exitLong) {
+      issues.warning('conditions.sell', 'Ignored because exitLong is also set');
+    }
+
+    const enterLong = conditions.enterLong || conditions.buy;
+    const exitLong = conditions.exitLong || conditions.sell;
+    if (!enterLong && !conditions.enterShort) {
+      issues.error('conditions', 'Strategy must have an entry condition (buy, enterLong or enterShort)');
+    }
+
+    // Each direction needs a way out: its own exit, the reversing entry or a risk exit
+    const riskExit = StrategyValidator.hasRiskExit(strategy.risk);
+    if (enterLong && !exitLong && !conditions.enterShort && !riskExit) {
+      issues.error('conditions', 'Strategy must have a sell/exitLong or enterShort condition, or a risk exit, to close long positions');
+    }
+    if (conditions.enterShort && !conditions.exitShort && !enterLong && !riskExit) {
+      issues.error('conditions', 'Strategy must have an exitShort or enterLong condition, or a risk exit, to close short positions');
+    }
+  }
+
+  // Parameter declarations, chosen values and constraints; returns the values the strategy runs with
+  checkParameters(strategy, issues) {
+    const declared = {};
+    Object.keys(strategy.parameters || {}).forEach(name => {
+      try {
+        declared[name] = StrategyInterpreter.parseParameter(name, strategy.parameters[name]);
+      } catch (error) {
+        issues.error(`parameters.${name}`, error.message);
+        return;
+      }
+      const { min, max, default: value } = declared[name];
+      if (value < min || value > max) {
+        issues.warning(`parameters.${name}`, `Default ${value} is outside the range ${min}..${max}`);
+      }
+    });
+
+    const params = {};
+    Object.keys(declared).forEach(name => {
+      params[name] = declared[name].default;
+    });
+    Object.keys(strategy.params || {}).forEach(name => {
+      const value = strategy.params[name];
+      params[name] = value;
+      if (declared[name] && (typeof value !== 'number' || !Number.isFinite(value))) {
+        issues.error(`params.${name}`, `Must be a number (got ${JSON.stringify(value)})`);
+      } else if (declared[name] && (value < declared[name].min || value > declared[name].max)) {
+        issues.warning(`params.${name}`, `${value} is outside the declared range ${declared[name].min}..${declared[name].max}`);
+      }
+    });
+
+    (strategy.constraints || []).forEach((constraint, i) => {
+      const path = `constraints[${i}]`;
+      try {
+        const scope = {
+          resolve: name => params[name.startsWith('params.') ? name.slice('params.'.length) : name]
+        };
+        if (!this.expressions.evaluate(constraint, scope)) {
+          const values = this.expressions.identifiers(constraint)
+            .map(({ name }) => `${name} = ${scope.resolve(name)}`).join(', ');
+          issues.error(path, `'${constraint}' does not hold for the current values (${values})`);
+        }
+      } catch (error) {
+        issues.error(path, error.message);
+      }
+    });
+
+    return params;
+  }
+
+  // Copy of the settings with '$name' references replaced by parameter values; unknown
+  // references are reported at their path
+  resolveReferences(strategy, params, issues) {
+    const substitute = (value, path) => {
+      if (typeof value === 'string' && value.startsWith('$')) {
+        const name = value.slice(1);
+        if (!(name in params)) {
+          issues.error(path, `Unknown parameter reference ${value}`);
+          return undefined;
+        }
+        return params[name];
+      }
+      if (Array.isArray(value)) {
+        return value.map((item, i) => substitute(item, `${path}[${i}]`));
+      }
+      if (this.isObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, `${path}.${key}`)]));
+      }
+      return value;
+    };
+
+    return {
+      indicators: substitute(strategy.indicators, 'indicators'),
+      timeframes: substitute(strategy.timeframes, 'timeframes'),
+      risk: substitute(strategy.risk, 'risk')
+    };
+  }
+
+  // Indicator settings; returns the value names the declared indicators provide
+  checkIndicators(indicators, path, issues) {
+    const keys = [];
+    const addKey = (key, keyPath) => {
+      if (keys.includes(key)) {
+        issues.warning(keyPath, `'${key}' is declared more than once; the last declaration wins`);
+      }
+      keys.push(key);
+    };
+
+    Object.keys(indicators).forEach(name => {
+      const config = indicators[name];
+      const configPath = `${path}.${name}`;
+      if (!config) return;
+
+      switch (name) {
+        case 'sma':
+        case 'ema':
+          if (!Array.isArray(config)) {
+            issues.error(configPath, `Must be a list of periods or { key, period } entries, e.g. ${name}: [20, 50]`);
+            return;
+          }
+          config.forEach((entry, i) => {
+            const entryPath = `${configPath}[${i}]`;
+            const { key, period } = StrategyInterpreter.getMovingAverageEntry(name, entry);
+            this.checkPeriod(period, typeof entry === 'object' ? `${entryPath}.period` : entryPath, issues);
+            addKey(key, entryPath);
+          });
+          return;
+        case 'rsi':
+        case 'volume':
+        case 'bollinger':
+          this.checkPeriod(config.period, `${configPath}.period`, issues, true);
+          if (name === 'bollinger' && config.stdDev !== undefined && !(config.stdDev > 0)) {
+            issues.error(`${configPath}.stdDev`, `The band width must be a positive number (got ${config.stdDev})`);
+          }
+          break;
+        case 'macd': {
+          ['fastPeriod', 'slowPeriod', 'signalPeriod'].forEach(param => {
+            this.checkPeriod(config[param], `${configPath}.${param}`, issues, true);
+          });
+          const fast = config.fastPeriod || 12;
+          const slow = config.slowPeriod || 26;
+          if (fast >= slow) {
+            issues.error(`${configPath}.fastPeriod`, `The fast period (${fast}) must be shorter than the slow period (${slow})`);
+          }
+          break;
+        }
+        default:
+          if (!Indicators.has(name)) {
+            issues.error(configPath, `Unknown indicator '${name}'; register it with Indicators.register or use one of: ${Object.keys(Indicators.definitions).join(', ')}`);
+            return;
+          }
+          this.checkRegisteredParams(name, config, configPath, issues);
+      }
+
+      StrategyValidator.getOutputNames(name).forEach(key => addKey(key, configPath));
+    });
+
+    return keys;
+  }
+
+  // Options of a registered indicator against its declared parameters
+  checkRegisteredParams(name, config, path, issues) {
+    const declared = Indicators.get(name).params;
+    const options = config === true ? {} : config;
+    if (!this.isObject(options)) {
+      issues.error(path, `Options must be an object (or true for the defaults), e.g. ${name}: { ${Object.keys(declared).map(key => `${key}: ${JSON.stringify(Indicators.getParams(name)[key])}`).join(', ')} }`);
+      return;
+    }
+
+    Object.keys(options).forEach(param => {
+      if (!(param in declared)) {
+        issues.warning(`${path}.${param}`, `'${param}' is not a parameter of ${name} (${Object.keys(declared).join(', ') || 'it has none'})`);
+      }
+    });
+
+    const params = Indicators.getParams(name, options);
+    Object.keys(declared).forEach(param => {
+      const value = params[param];
+      const spec = declared[param];
+      const paramPath = `${path}.${param}`;
+
+      if (typeof Indicators.getParams(name)[param] === 'number') {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          issues.error(paramPath, `Must be a number (got ${JSON.stringify(value)})`);
+          return;
+        }
+        if (/period|length|smooth|displacement/i.test(param)) {
+          this.checkPeriod(value, paramPath, issues);
+        }
+      }
+      if (this.isObject(spec)) {
+        if (spec.min !== undefined && value < spec.min) issues.error(paramPath, `Must be at least ${spec.min} (got ${value})`);
+        if (spec.max !== undefined && value > spec.max) issues.error(paramPath, `Must be at most ${spec.max} (got ${value})`);
+      }
+    });
+
+    // fastX / slowX pairs, as in MACD
+    Object.keys(params).filter(param => param.startsWith('fast')).forEach(fast => {
+      const slow = 'slow' + fast.slice('fast'.length);
+      if (slow in params && params[fast] >= params[slow]) {
+        issues.error(`${path}.${fast}`, `${fast} (${params[fast]}) must be less than ${slow} (${params[slow]})`);
+      }
+    });
+  }
+
+  // Periods are whole numbers of bars; optional ones fall back to the indicator's default
+  checkPeriod(value, path, issues, optional = false) {
+    if (optional && value === undefined) return;
+    if (!Number.isInteger(value) || value <= 0) {
+      issues.error(path, `Must be a positive whole number of bars (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  // Higher timeframes; returns their value names ('h1.close', 'h1.rsi', ...)
+  checkTimeframes(timeframes, issues) {
+    const keys = [];
+    if (timeframes === undefined || timeframes === null) return keys;
+    if (!this.isObject(timeframes)) {
+      issues.error('timeframes', 'Timeframes must be an object, e.g. { h1: { interval: \'1h\', indicators: {...} } }');
+      return keys;
+    }
+
+    Object.keys(timeframes).forEach(name => {
+      const timeframe = timeframes[name] || {};
+      const path = `timeframes.${name}`;
+      if (!timeframe.interval) {
+        issues.error(`${path}.interval`, 'An interval is required, e.g. \'1h\'');
+      } else {
+        try {
+          CandleIO.intervalToSeconds(timeframe.interval);
+        } catch (error) {
+          issues.error(`${path}.interval`, error.message);
+        }
+      }
+
+      const fields = [...StrategyInterpreter.TIMEFRAME_FIELDS];
+      if (this.isObject(timeframe.indicators)) {
+        fields.push(...this.checkIndicators(timeframe.indicators, `${path}.indicators`, issues));
+      }
+      fields.forEach(key => keys.push(`${name}.${key}`));
+    });
+    return keys;
+  }
+
+  checkRisk(risk, issues) {
+    if (risk === undefined || risk === null) return;
+    if (!this.isObject(risk)) {
+      issues.error('risk', 'Risk settings must be an object');
+      return;
+    }
+
+    ['stopLoss', 'takeProfit', 'trailingStop'].forEach(rule => {
+      const setting = risk[rule];
+      if (!setting) return;
+      const path = `risk.${rule}`;
+      if (!StrategyValidator.RISK_TYPES.includes(setting.type)) {
+        issues.error(`${path}.type`, `Must be one of ${StrategyValidator.RISK_TYPES.join(', ')} (got ${JSON.stringify(setting.type)})`);
+      }
+      if (typeof setting.value !== 'number' || !(setting.value > 0)) {
+        issues.error(`${path}.value`, `Must be a positive number (got ${JSON.stringify(setting.value)})`);
+      } else if (setting.type === 'percent' && rule !== 'takeProfit' && setting.value >= 100) {
+        issues.warning(`${path}.value`, `A ${setting.value}% distance can never be reached by a long position`);
+      }
+    });
+
+    if (risk.maxBarsInTrade !== undefined && risk.maxBarsInTrade !== null) {
+      this.checkPeriod(risk.maxBarsInTrade, 'risk.maxBarsInTrade', issues);
+    }
+    this.checkPeriod(risk.atrPeriod, 'risk.atrPeriod', issues, true);
+    if (risk.intrabarPriority !== undefined && !StrategyValidator.INTRABAR_PRIORITIES.includes(risk.intrabarPriority)) {
+      issues.error('risk.intrabarPriority', `Must be one of ${StrategyValidator.INTRABAR_PRIORITIES.join(', ')}`);
+    }
+  }
+
+  // Every value a condition reads must be declared. Expressions are parsed; function
+  // conditions are scanned for values.name references in their source
+  checkConditions(strategy, keys, params, issues) {
+    const timeframes = Object.keys(strategy.timeframes || {});
+
+    Object.keys(strategy.conditions).forEach(name => {
+      const condition = strategy.conditions[name];
+      const path = `conditions.${name}`;
+
+      if (typeof condition === 'function') {
+        const references = String(condition).matchAll(/values\.([A-Za-z_$][\w$]*)(?:\.([A-Za-z_$][\w$]*))?/g);
+        const reported = new Set();
+        for (const [, first, second] of references) {
+          const key = second && timeframes.includes(first) ? `${first}.${second}` : first;
+          if (!keys.has(key) && !reported.has(key)) {
+            reported.add(key);
+            issues.error(path, `Reads values.${key}, which no declared indicator provides${this.suggest(key, keys, timeframes)}`);
+          }
+        }
+        return;
+      }
+      if (typeof condition !== 'string') return;
+
+      let identifiers;
+      try {
+        identifiers = this.expressions.identifiers(condition);
+      } catch (error) {
+        issues.error(path, error.message);
+        return;
+      }
+
+      identifiers.forEach(({ name: identifier, column }) => {
+        if (identifier.startsWith('params.')) {
+          if (!(identifier.slice('params.'.length) in params)) {
+            issues.error(path, `Unknown parameter '${identifier}' at column ${column}`);
+          }
+          return;
+        }
+        const key = identifier.startsWith('values.') ? identifier.slice('values.'.length) : identifier;
+        if (!keys.has(key)) {
+          issues.error(path, `'${identifier}' at column ${column} is not provided by any declared indicator${this.suggest(key, keys, timeframes)}`);
+        }
+      });
+    });
+  }
+
+  // Hint for an undeclared value name: the declaration that would provide it, or a near match
+  suggest(key, keys, timeframes) {
+    const separator = key.indexOf('.');
+    if (separator !== -1 && !timeframes.includes(key.slice(0, separator))) {
+      return `; timeframe '${key.slice(0, separator)}' is not declared in timeframes`;
+    }
+    const name = separator === -1 ? key : key.slice(separator + 1);
+    const where = separator === -1 ? 'indicators' : `timeframes.${key.slice(0, separator)}.indicators`;
+
+    const movingAverage = /^(sma|ema)(\d+)$/.exec(name);
+    if (movingAverage) {
+      return `; add ${movingAverage[1]}: [${movingAverage[2]}] to ${where}`;
+    }
+    if (name === 'volumeSMA') {
+      return `; add volume: { period: 20 } to ${where}`;
+    }
+    const provider = Object.keys(Indicators.definitions)
+      .find(indicator => Object.values(Indicators.get(indicator).outputs).includes(name));
+    if (provider) {
+      return `; add ${provider}: {} to ${where}`;
+    }
+    const match = [...keys].find(declared => declared.toLowerCase() === key.toLowerCase());
+    return match ? `; did you mean '${match}'?` : '';
+  }
+
+  // Evaluate each condition on every tradable sample bar and flag those that never or always hold
+  checkSampleData(strategy, data, issues) {
+    const interpreter = new StrategyInterpreter({ logging: false });
+    let resolved;
+    let startIndex;
+    try {
+      resolved = interpreter.applyParameters(strategy);
+      interpreter.data = data;
+      interpreter.calculateIndicators(resolved);
+      interpreter.calculateTimeframeIndicators(resolved);
+      interpreter.compileConditions(resolved);
+      startIndex = interpreter.getStartIndex(resolved);
+    } catch (error) {
+      issues.error('', `Failed on the sample data: ${error.message}`);
+      return;
+    }
+
+    const bars = data.length - startIndex;
+    if (bars <= 0) {
+      issues.warning('', `The sample data (${data.length} bars) is shorter than the indicator warm-up (${startIndex} bars)`);
+      return;
+    }
+
+    Object.keys(resolved.conditions).forEach(name => {
+      if (!StrategyValidator.CONDITIONS.includes(name)) return;
+      const condition = resolved.conditions[name];
+      const path = `conditions.${name}`;
+      let count = 0;
+
+      for (let i = startIndex; i < data.length; i++) {
+        try {
+          if (interpreter.evaluateCondition(condition, interpreter.getIndicatorValues(i), i)) count++;
+        } catch (error) {
+          issues.error(path, `Failed at bar ${i} of the sample data: ${error.message}`);
+          return;
+        }
+      }
+
+      if (count === 0) {
+        issues.warning(path, `Never true on the sample data (${bars} bars)`);
+      } else if (count === bars) {
+        issues.warning(path, `Always true on the sample data (${bars} bars)`);
+      }
+    });
+  }
+
+  isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+};
+
+// Top-level strategy fields read by the interpreter, library and builder
+StrategyValidator.FIELDS = [
+  'schemaVersion', 'id', 'name', 'description', 'parameters', 'constraints', 'params', 'indicators',
+  'timeframes', 'conditions', 'risk', 'execution', 'metadata', 'builder', 'data', 'interval', 'startTime'
+];
+
+StrategyValidator.CONDITIONS = ['enterLong', 'exitLong', 'enterShort', 'exitShort', 'buy', 'sell'];
+
+StrategyValidator.RISK_TYPES = ['percent', 'fixed', 'atr'];
+
+StrategyValidator.INTRABAR_PRIORITIES = ['stopFirst', 'targetFirst', 'nearestToOpen'];
+
+// Risk rules that close a position without an exit condition
+StrategyValidator.RISK_EXITS = ['stopLoss', 'takeProfit', 'trailingStop', 'maxBarsInTrade'];
+
+StrategyValidator.hasRiskExit = function(risk) {
+  return Boolean(risk) && typeof risk === 'object' && StrategyValidator.RISK_EXITS.some(rule => risk[rule]);
+};
+
+// Value names an indicator declaration provides (moving averages are keyed per entry)
+StrategyValidator.getOutputNames = function(name) {
+  switch (name) {
+    case 'rsi':
+      return ['rsi'];
+    case 'volume':
+      return ['volumeSMA'];
+    default:
+      return Object.values(Indicators.get(name).outputs);
+  }
+};
+
+// One issue as a line of text
+StrategyValidator.formatIssue = function(issue) {
+  return issue.path ? `${issue.path}: ${issue.message}` : issue.message;
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StrategyValidator;
+}
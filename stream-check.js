@@ -0,0 +1,166 @@
+// Stream Check - Runs a LiveStream against the mock market server, drops and stalls its
+// connection, and checks that the closed bars it passed on have no holes or duplicates and
+// match the server's history
+//
+//   node stream-check.js [--drops 3] [--stalls 1] [--tick-ms 50] [--interval 1m]
+//
+// The server closes a bar every tickMs x 4 ms, far faster than the bars' own interval, so
+// backfills after a reconnect cannot rely on the wall clock to know how much was missed.
+// Needs a global WebSocket (Node 22, or node --experimental-websocket on Node 20 and 21).
+//
+// Exit codes: 0 the bars are complete, 1 holes, duplicates or mismatches, 2 no WebSocket.
+
+const MockMarketServer = require('./mock-market-server.js');
+const LiveStream = require('./live-stream.js');
+const { LocalServerDataProvider } = require('./data-providers.js');
+
+const SYMBOL = 'BTCUSDT';
+
+class StreamCheck {
+  constructor(options = {}) {
+    this.options = { ...StreamCheck.DEFAULT_OPTIONS, ...options };
+    this.closed = [];
+    this.statuses = [];
+    this.waiting = [];
+  }
+
+  async run() {
+    const { interval, tickMs, drops, stalls } = this.options;
+    const server = new MockMarketServer({ port: 0, tickMs, ticksPerBar: 4 });
+    server.addMarket(SYMBOL, interval, server.generateCandles(interval, 100));
+    const port = await server.start();
+
+    const provider = new LocalServerDataProvider({ url: `http://localhost:${port}`, intervals: [interval], retry: { retries: 0 } });
+    const stream = new LiveStream(provider, SYMBOL, interval, {
+      initialDelay: tickMs * 8,
+      jitter: 0,
+      heartbeatTimeout: tickMs * 20,
+      onCandle: (candle, status) => {
+        if (status.closed) this.closed.push(candle);
+      },
+      onStatus: event => {
+        this.statuses.push(event);
+        this.waiting = this.waiting.filter(waiter => !waiter(event));
+      }
+    });
+
+    try {
+      stream.start();
+      await this.waitFor(event => event.status === 'connected');
+
+      // Let a few bars close between faults so every reconnect has bars to recover
+      for (let i = 0; i < drops; i++) {
+        await StreamCheck.sleep(tickMs * 12);
+        server.disconnectClients();
+        await this.waitFor(event => event.status === 'connected' && event.backfilled !== undefined);
+      }
+      for (let i = 0; i < stalls; i++) {
+        await StreamCheck.sleep(tickMs * 12);
+        server.stall(tickMs * 30);
+        await this.waitFor(event => event.status === 'connected' && event.backfilled !== undefined);
+      }
+      await StreamCheck.sleep(tickMs * 12);
+    } finally {
+      stream.close();
+      await server.stop();
+    }
+
+    return this.checkBars(server.markets[Object.keys(server.markets)[0]]);
+  }
+
+  // Resolve with the next status event the predicate accepts; reject after a while
+  waitFor(predicate) {
+    const timeout = this.options.tickMs * 200;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No matching stream status within ${timeout} ms`)), timeout);
+      this.waiting.push(event => {
+        if (!predicate(event)) return false;
+        clearTimeout(timer);
+        resolve(event);
+        return true;
+      });
+    });
+  }
+
+  // Problems with the closed bars: holes, repeats and bars that differ from the server's
+  checkBars(market) {
+    const history = new Map(market.history.map(candle => [candle.time, candle]));
+    const problems = [];
+
+    this.closed.forEach((candle, index) => {
+      const previous = this.closed[index - 1];
+      if (previous && candle.time === previous.time) {
+        problems.push(`duplicate closed bar at ${candle.time}`);
+      } else if (previous && candle.time !== previous.time + market.seconds) {
+        problems.push(`hole of ${(candle.time - previous.time) / market.seconds - 1} bars after ${previous.time}`);
+      }
+      const recorded = history.get(candle.time);
+      if (!recorded || recorded.close !== candle.close) {
+        problems.push(`bar at ${candle.time} does not match the server's history`);
+      }
+    });
+
+    const backfills = this.statuses.filter(event => event.status === 'connected' && event.backfilled !== undefined);
+    const unrecovered = backfills.reduce((sum, event) => sum + event.unrecovered, 0);
+    if (unrecovered > 0) {
+      problems.push(`${unrecovered} bars reported unrecovered`);
+    }
+
+    return {
+      bars: this.closed.length,
+      backfills: backfills.length,
+      backfilled: backfills.reduce((sum, event) => sum + event.backfilled, 0),
+      problems
+    };
+  }
+}
+
+StreamCheck.DEFAULT_OPTIONS = {
+  interval: '1m',
+  tickMs: 50,
+  drops: 3,
+  stalls: 1
+};
+
+StreamCheck.sleep = function(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+};
+
+function parseArguments(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] !== undefined && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+if (require.main === module) {
+  if (typeof WebSocket === 'undefined') {
+    console.error('Error: no global WebSocket; use Node 22 or run node --experimental-websocket stream-check.js');
+    process.exitCode = 2;
+  } else {
+    const args = parseArguments(process.argv.slice(2));
+    const options = {};
+    if (args.interval) options.interval = args.interval;
+    if (args['tick-ms']) options.tickMs = parseInt(args['tick-ms'], 10);
+    if (args.drops !== undefined) options.drops = parseInt(args.drops, 10);
+    if (args.stalls !== undefined) options.stalls = parseInt(args.stalls, 10);
+
+    // The providers and the stream log every fetch and backfill; only the verdict matters here
+    const log = console.log;
+    console.log = () => {};
+
+    new StreamCheck(options).run().then(result => {
+      log(`${result.bars} closed bars, ${result.backfills} backfills, ${result.backfilled} bars backfilled`);
+      result.problems.forEach(problem => log(`  FAIL  ${problem}`));
+      process.exitCode = result.problems.length > 0 ? 1 : 0;
+    }).catch(error => {
+      console.error(`Error: ${error.message}`);
+      process.exitCode = 1;
+    });
+  }
+}
+
+module.exports = StreamCheck;
@@ -0,0 +1,219 @@
+// Walk-Forward Analyzer - Optimizes on rolling or anchored training windows and
+// tests each result on the following unseen window, stitching the out-of-sample runs
+
+if (typeof module !== 'undefined' && module.exports) {
+  var StrategyInterpreter = require('./strategy-interpreter.js');
+  var StrategyOptimizer = require('./strategy-optimizer.js');
+}
+
+var WalkForwardAnalyzer = class WalkForwardAnalyzer {
+  constructor(options = {}) {
+    this.interpreter = options.interpreter || new StrategyInterpreter({ logging: false });
+    this.optimizer = options.optimizer || new StrategyOptimizer({ interpreter: this.interpreter });
+  }
+
+  // Run the walk-forward analysis of a strategy over the candle history
+  run(strategy, data, options = {}) {
+    const settings = {
+      ...WalkForwardAnalyzer.DEFAULT_OPTIONS,
+      ...options,
+      optimization: { ...WalkForwardAnalyzer.DEFAULT_OPTIONS.optimization, ...options.optimization }
+    };
+    const windows = this.createWindows(data.length, settings);
+    const execution = { ...strategy.execution };
+    const initialCapital = execution.initialCapital || StrategyInterpreter.DEFAULT_EXECUTION.initialCapital;
+
+    if (windows.length === 0) {
+      throw new Error(`Not enough data for one window: need ${settings.trainBars + settings.testBars} bars, have ${data.length}`);
+    }
+
+    let capital = initialCapital;
+    const trades = [];
+    const buyMarkers = [];
+    const sellMarkers = [];
+    const equityCurve = [];
+    const reports = [];
+
+    windows.forEach((window, windowIndex) => {
+      // In-sample: search the parameters on the training bars only
+      const trainData = data.slice(window.trainStart, window.trainEnd);
+      const optimization = this.optimizer.optimize(strategy, trainData, settings.optimization);
+      if (!optimization.best) {
+        reports.push({ ...this.describeWindow(window, data, windowIndex), params: null, skipped: 'No valid parameter set in training window' });
+        this.reportProgress(settings, windowIndex, windows.length);
+        return;
+      }
+
+      // Out-of-sample: trade the test bars with the chosen parameters, keeping the
+      // training bars as indicator history and carrying the equity forward
+      const testRun = this.interpreter.interpret({
+        ...strategy,
+        params: optimization.best.params,
+        execution: { ...execution, initialCapital: capital, closeAtEnd: true },
+        startTime: data[window.testStart].time,
+        data: data.slice(window.trainStart, window.testEnd)
+      });
+
+      trades.push(...testRun.trades.map(trade => ({ ...trade, window: windowIndex })));
+      buyMarkers.push(...testRun.buyMarkers);
+      sellMarkers.push(...testRun.sellMarkers);
+      equityCurve.push(...testRun.equityCurve);
+
+      const inSampleReturn = optimization.best.stats.totalProfitPercent;
+      const outOfSampleReturn = capital > 0 ? ((testRun.stats.finalEquity - capital) / capital) * 100 : 0;
+      capital = testRun.stats.finalEquity;
+
+      reports.push({
+        ...this.describeWindow(window, data, windowIndex),
+        params: optimization.best.params,
+        inSampleObjective: optimization.best.objective,
+        outOfSampleObjective: this.getObjectiveValue(testRun.stats, settings.optimization.objective),
+        inSampleReturn: inSampleReturn,
+        outOfSampleReturn: outOfSampleReturn,
+        outOfSampleTrades: testRun.stats.wins + testRun.stats.losses,
+        outOfSampleMaxDrawdownPercent: testRun.stats.maxDrawdownPercent,
+        // Out-of-sample return per bar relative to in-sample return per bar
+        efficiency: inSampleReturn !== 0
+          ? (outOfSampleReturn / (window.testEnd - window.testStart)) / (inSampleReturn / (window.trainEnd - window.trainStart))
+          : null
+      });
+      this.reportProgress(settings, windowIndex, windows.length);
+    });
+
+    this.recomputeDrawdowns(equityCurve, initialCapital);
+
+    return {
+      strategyName: strategy.name || 'Custom Strategy',
+      mode: settings.mode,
+      windows: reports,
+      trades: trades,
+      buyMarkers: buyMarkers,
+      sellMarkers: sellMarkers,
+      equityCurve: equityCurve,
+      stats: this.interpreter.calculateStatistics(trades, equityCurve, initialCapital),
+      stability: this.summarizeStability(reports)
+    };
+  }
+
+  // Tell options.onProgress(done, total) that a window has been processed
+  reportProgress(settings, windowIndex, windowCount) {
+    if (settings.onProgress) {
+      settings.onProgress(windowIndex + 1, windowCount);
+    }
+  }
+
+  // Split the history into train/test windows
+  // rolling: fixed-length training window that slides forward by stepBars
+  // anchored: training always starts at the first bar and grows by stepBars
+  createWindows(length, settings) {
+    const { trainBars, testBars, mode } = settings;
+    const stepBars = settings.stepBars || testBars;
+    const windows = [];
+
+    if (!(trainBars > 0) || !(testBars > 0) || !(stepBars > 0)) {
+      throw new Error('trainBars, testBars and stepBars must be positive');
+    }
+    // Overlapping test windows would trade the same bars twice in the stitched results
+    if (stepBars < testBars) {
+      throw new Error(`stepBars (${stepBars}) must be at least testBars (${testBars}) so test windows do not overlap`);
+    }
+    if (!['rolling', 'anchored'].includes(mode)) {
+      throw new Error(`Unknown walk-forward mode: ${mode}`);
+    }
+
+    for (let offset = 0; offset + trainBars + testBars <= length; offset += stepBars) {
+      const trainEnd = offset + trainBars;
+      windows.push({
+        trainStart: mode === 'anchored' ? 0 : offset,
+        trainEnd: trainEnd,
+        testStart: trainEnd,
+        testEnd: trainEnd + testBars
+      });
+    }
+
+    return windows;
+  }
+
+  // Bar ranges and times of a window for the report
+  describeWindow(window, data, windowIndex) {
+    return {
+      window: windowIndex,
+      trainStart: window.trainStart,
+      trainEnd: window.trainEnd,
+      testStart: window.testStart,
+      testEnd: window.testEnd,
+      trainFrom: data[window.trainStart].time,
+      testFrom: data[window.testStart].time,
+      testTo: data[window.testEnd - 1].time
+    };
+  }
+
+  // Read the optimization objective from a run's statistics
+  getObjectiveValue(stats, objective) {
+    return typeof objective === 'function' ? objective(stats) : stats[objective];
+  }
+
+  // Drawdowns of the stitched curve must be measured across window boundaries
+  recomputeDrawdowns(equityCurve, initialCapital) {
+    let peak = initialCapital;
+    equityCurve.forEach(point => {
+      peak = Math.max(peak, point.equity);
+      point.drawdown = peak - point.equity;
+      point.drawdownPercent = peak > 0 ? (point.drawdown / peak) * 100 : 0;
+    });
+  }
+
+  // Summarize how consistent the out-of-sample results and chosen parameters are
+  summarizeStability(reports) {
+    const tested = reports.filter(report => report.params);
+    const returns = tested.map(report => report.outOfSampleReturn);
+    const efficiencies = tested.map(report => report.efficiency).filter(value => value !== null && Number.isFinite(value));
+    const mean = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    const deviation = values => {
+      if (values.length < 2) return 0;
+      const average = mean(values);
+      return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / (values.length - 1));
+    };
+
+    // Per parameter: spread of the chosen values; a low coefficient of variation means stable choices
+    const parameters = {};
+    if (tested.length > 0) {
+      Object.keys(tested[0].params).forEach(name => {
+        const values = tested.map(report => report.params[name]);
+        const average = mean(values);
+        parameters[name] = {
+          mean: average,
+          stdDev: deviation(values),
+          coefficientOfVariation: average !== 0 ? deviation(values) / Math.abs(average) : 0,
+          distinctValues: new Set(values).size
+        };
+      });
+    }
+
+    return {
+      windows: reports.length,
+      testedWindows: tested.length,
+      profitableWindows: returns.filter(value => value > 0).length,
+      profitableWindowPercent: tested.length > 0 ? (returns.filter(value => value > 0).length / tested.length) * 100 : 0,
+      meanOutOfSampleReturn: mean(returns),
+      outOfSampleReturnStdDev: deviation(returns),
+      meanInSampleReturn: mean(tested.map(report => report.inSampleReturn)),
+      walkForwardEfficiency: mean(efficiencies),
+      parameters: parameters
+    };
+  }
+};
+
+WalkForwardAnalyzer.DEFAULT_OPTIONS = {
+  mode: 'rolling',       // rolling | anchored
+  trainBars: 2000,
+  testBars: 500,
+  stepBars: null,        // defaults to testBars; smaller values would overlap the test windows
+  optimization: { method: 'grid', objective: 'sharpeRatio' },
+  onProgress: null       // function(windowsDone, windowCount)
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WalkForwardAnalyzer;
+}